@@ -1,4 +1,4 @@
-import React, { useState, useRef } from 'react';
+import React, { useState, useRef, useEffect } from 'react';
 import WatermarkEditor from './WatermarkEditor';
 import SplitEditor from './SplitEditor';
 import MergeEditor from './MergeEditor';
@@ -43,7 +43,11 @@ const PDFEditor = () => {
     startPage: 1,
     coverWithWhite: false,
     textColor: '#000000',
-    fontSize: 10
+    fontSize: 10,
+    topMargin: 30,
+    bottomMargin: 50,
+    leftMargin: 50,
+    rightMargin: 50
   });
   const [selectedTemplate, setSelectedTemplate] = useState('');
 
@@ -213,16 +217,91 @@ const HeaderFooterEditor = ({
     startPage: 1,
     coverWithWhite: false,
     textColor: '#000000',
-    fontSize: 10
+    fontSize: 10,
+    topMargin: 30,
+    bottomMargin: 50,
+    leftMargin: 50,
+    rightMargin: 50,
+    dateFormat: 'YYYY-MM-DD',
+    timeFormat: 'HH:mm',
+    timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone || '',
+    batesNumbering: false,
+    batesPrefix: '',
+    batesSuffix: '',
+    batesDigits: 6,
+    batesPosition: 'rightFooter',
+    numberStyle: 'arabic',
+    numberPadding: 3,
+    numberingRanges: [],
+    writePageLabels: false,
+    oddEvenLayout: 'same',
+    evenPages: {
+      leftHeader: '',
+      middleHeader: '',
+      rightHeader: '',
+      leftFooter: '',
+      middleFooter: '',
+      rightFooter: ''
+    },
+    applyToPages: '',
+    excludePages: '',
+    countSkippedPages: true,
+    fontName: '',
+    imageOptions: {},
+    slotStyles: {},
+    lineSpacing: 1.2,
+    overflow: 'shrink',
+    headerRule: false,
+    footerRule: false,
+    ruleColor: '#000000',
+    ruleThickness: 0.5,
+    whiteOutMode: 'band',
+    whiteOutColor: '#ffffff',
+    whiteOutPadding: 2
   });
+  const [additionalFiles, setAdditionalFiles] = useState([]);
+  const [slotImages, setSlotImages] = useState({});
+  const [fontFile, setFontFile] = useState(null);
+  const [fonts, setFonts] = useState([]);
 
-  const templates = [
+  const slotOptions = [
+    { value: 'leftHeader', label: 'Left Header' },
+    { value: 'middleHeader', label: 'Middle Header' },
+    { value: 'rightHeader', label: 'Right Header' },
+    { value: 'leftFooter', label: 'Left Footer' },
+    { value: 'middleFooter', label: 'Middle Footer' },
+    { value: 'rightFooter', label: 'Right Footer' }
+  ];
+
+  // Fallback list until the server's template list has loaded
+  const [templates, setTemplates] = useState([
     { value: 'page-x-of-y', label: 'Page (x) of (y)' },
     { value: 'x-of-y', label: '(x) of (y)' },
     { value: 'page-x', label: 'Page (x)' },
     { value: 'x', label: '(x)' },
     { value: 'file', label: '(file)' }
-  ];
+  ]);
+
+  useEffect(() => {
+    const fetchTemplates = async () => {
+      try {
+        const response = await fetch(`${process.env.REACT_APP_API_URL}/api/pdf/templates`);
+        if (response.ok) {
+          const data = await response.json();
+          if (data.success && Array.isArray(data.templates)) {
+            setTemplates(data.templates);
+          }
+          if (data.success && Array.isArray(data.fonts)) {
+            setFonts(data.fonts);
+          }
+        }
+      } catch (error) {
+        console.error('Error fetching templates:', error);
+      }
+    };
+
+    fetchTemplates();
+  }, []);
 
   const handleTemplateSelect = (templateValue, position) => {
     const templateText = templates.find(t => t.value === templateValue)?.label || '';
@@ -239,6 +318,125 @@ const HeaderFooterEditor = ({
     }));
   };
 
+  const numberStyles = [
+    { value: 'arabic', label: '1, 2, 3' },
+    { value: 'lower-roman', label: 'i, ii, iii' },
+    { value: 'upper-roman', label: 'I, II, III' },
+    { value: 'lower-alpha', label: 'a, b, c' },
+    { value: 'upper-alpha', label: 'A, B, C' },
+    { value: 'zero-padded', label: '001, 002, 003' }
+  ];
+
+  const oddEvenLayouts = [
+    { value: 'same', label: 'Same on all pages' },
+    { value: 'mirror', label: 'Mirror left/right on even pages' },
+    { value: 'separate', label: 'Separate layout for even pages' }
+  ];
+
+  const overflowModes = [
+    { value: 'shrink', label: 'Shrink to fit' },
+    { value: 'wrap', label: 'Wrap onto more lines' },
+    { value: 'none', label: 'Allow overlap' }
+  ];
+
+  const handleSlotStyleChange = (slot, field, value) => {
+    setHeaderFooterData(prev => ({
+      ...prev,
+      slotStyles: {
+        ...prev.slotStyles,
+        [slot]: {
+          ...prev.slotStyles[slot],
+          [field]: value
+        }
+      }
+    }));
+  };
+
+  const imagePlacements = [
+    { value: 'before', label: 'Before text' },
+    { value: 'after', label: 'After text' },
+    { value: 'replace', label: 'Instead of text' }
+  ];
+
+  const handleSlotImageUpload = (slot, event) => {
+    const file = event.target.files[0] || null;
+    if (file && !['image/png', 'image/jpeg'].includes(file.type)) {
+      alert('Please select a PNG or JPEG image');
+      return;
+    }
+    setSlotImages(prev => ({
+      ...prev,
+      [slot]: file
+    }));
+  };
+
+  const handleImageOptionChange = (slot, field, value) => {
+    setHeaderFooterData(prev => ({
+      ...prev,
+      imageOptions: {
+        ...prev.imageOptions,
+        [slot]: {
+          height: 24,
+          placement: 'before',
+          ...prev.imageOptions[slot],
+          [field]: value
+        }
+      }
+    }));
+  };
+
+  const handleEvenPageChange = (field, value) => {
+    setHeaderFooterData(prev => ({
+      ...prev,
+      evenPages: {
+        ...prev.evenPages,
+        [field]: value
+      }
+    }));
+  };
+
+  const handleNumberingRangeChange = (index, field, value) => {
+    setHeaderFooterData(prev => ({
+      ...prev,
+      numberingRanges: prev.numberingRanges.map((range, i) =>
+        i === index ? { ...range, [field]: value } : range
+      )
+    }));
+  };
+
+  const addNumberingRange = () => {
+    setHeaderFooterData(prev => ({
+      ...prev,
+      numberingRanges: [...prev.numberingRanges, { fromPage: '', style: 'arabic', prefix: '', start: 1 }]
+    }));
+  };
+
+  const removeNumberingRange = (index) => {
+    setHeaderFooterData(prev => ({
+      ...prev,
+      numberingRanges: prev.numberingRanges.filter((_, i) => i !== index)
+    }));
+  };
+
+  const handleAdditionalFiles = (event) => {
+    const files = Array.from(event.target.files).filter(file => file.type === 'application/pdf');
+    if (files.length !== event.target.files.length) {
+      alert('Only PDF files can be added');
+    }
+    setAdditionalFiles(files);
+  };
+
+  const handleFontUpload = (event) => {
+    const file = event.target.files[0] || null;
+    if (file && !/\.(ttf|otf)$/i.test(file.name)) {
+      alert('Please select a TTF or OTF font file');
+      return;
+    }
+    setFontFile(file);
+    // An uploaded font is only used when no other font is selected
+    handleInputChange('fontName', '');
+  };
+
   const handleProcessPDF = async () => {
     if (!selectedFile) {
       alert('Please select a PDF file first');
@@ -249,7 +447,28 @@ const HeaderFooterEditor = ({
     try {
       const formData = new FormData();
       formData.append('pdf', selectedFile);
-      formData.append('headerFooterData', JSON.stringify(headerFooterData));
+      if (headerFooterData.batesNumbering) {
+        additionalFiles.forEach(file => formData.append('pdfs', file));
+      }
+      if (fontFile) {
+        formData.append('font', fontFile);
+      }
+      Object.entries(slotImages).forEach(([slot, file]) => {
+        if (file) {
+          formData.append(`${slot}Image`, file);
+        }
+      });
+      formData.append('headerFooterData', JSON.stringify({
+        ...headerFooterData,
+        // Skip ranges without a starting page
+        numberingRanges: headerFooterData.numberingRanges
+          .filter(range => parseInt(range.fromPage) > 0)
+          .map(range => ({
+            ...range,
+            fromPage: parseInt(range.fromPage),
+            start: parseInt(range.start) || 1
+          }))
+      }));
 
       const response = await fetch(`${process.env.REACT_APP_API_URL}/api/pdf/process`, {
         method: 'POST',
@@ -257,12 +476,13 @@ const HeaderFooterEditor = ({
       });
 
       if (response.ok) {
+        const contentType = response.headers.get('content-type') || '';
         const blob = await response.blob();
         const url = window.URL.createObjectURL(blob);
         const a = document.createElement('a');
         a.style.display = 'none';
         a.href = url;
-        a.download = 'processed-document.pdf';
+        a.download = contentType.includes('application/zip') ? 'processed-documents.zip' : 'processed-document.pdf';
         document.body.appendChild(a);
         a.click();
         window.URL.revokeObjectURL(url);
@@ -311,8 +531,8 @@ const HeaderFooterEditor = ({
               <div className="position-group">
                 <label>Left Header</label>
                 <div className="input-group">
-                  <input
-                    type="text"
+                  <textarea
+                    rows="2"
                     placeholder="Enter header text"
                     value={headerFooterData.leftHeader}
                     onChange={(e) => handleInputChange('leftHeader', e.target.value)}
@@ -336,8 +556,8 @@ const HeaderFooterEditor = ({
               <div className="position-group">
                 <label>Middle Header</label>
                 <div className="input-group">
-                  <input
-                    type="text"
+                  <textarea
+                    rows="2"
                     placeholder="Enter header text"
                     value={headerFooterData.middleHeader}
                     onChange={(e) => handleInputChange('middleHeader', e.target.value)}
@@ -361,8 +581,8 @@ const HeaderFooterEditor = ({
               <div className="position-group">
                 <label>Right Header</label>
                 <div className="input-group">
-                  <input
-                    type="text"
+                  <textarea
+                    rows="2"
                     placeholder="Enter header text"
                     value={headerFooterData.rightHeader}
                     onChange={(e) => handleInputChange('rightHeader', e.target.value)}
@@ -392,8 +612,8 @@ const HeaderFooterEditor = ({
               <div className="position-group">
                 <label>Left Footer</label>
                 <div className="input-group">
-                  <input
-                    type="text"
+                  <textarea
+                    rows="2"
                     placeholder="Enter footer text"
                     value={headerFooterData.leftFooter}
                     onChange={(e) => handleInputChange('leftFooter', e.target.value)}
@@ -417,8 +637,8 @@ const HeaderFooterEditor = ({
               <div className="position-group">
                 <label>Middle Footer</label>
                 <div className="input-group">
-                  <input
-                    type="text"
+                  <textarea
+                    rows="2"
                     placeholder="Enter footer text"
                     value={headerFooterData.middleFooter}
                     onChange={(e) => handleInputChange('middleFooter', e.target.value)}
@@ -442,8 +662,8 @@ const HeaderFooterEditor = ({
               <div className="position-group">
                 <label>Right Footer</label>
                 <div className="input-group">
-                  <input
-                    type="text"
+                  <textarea
+                    rows="2"
                     placeholder="Enter footer text"
                     value={headerFooterData.rightFooter}
                     onChange={(e) => handleInputChange('rightFooter', e.target.value)}
@@ -464,6 +684,220 @@ const HeaderFooterEditor = ({
                 </div>
               </div>
             </div>
+            <small>
+              Use a new line for multi-line text. Links: [text](https://example.com), [text](mailto:help@example.com) or [Back to contents](#page=1).
+            </small>
+          </div>
+
+          {/* Odd/Even Pages */}
+          <div className="section">
+            <div className="option-group">
+              <label>Odd/Even Pages:</label>
+              <select
+                value={headerFooterData.oddEvenLayout}
+                onChange={(e) => handleInputChange('oddEvenLayout', e.target.value)}
+                className="template-dropdown"
+              >
+                {oddEvenLayouts.map(layout => (
+                  <option key={layout.value} value={layout.value}>
+                    {layout.label}
+                  </option>
+                ))}
+              </select>
+              {headerFooterData.oddEvenLayout !== 'same' && (
+                <small>The header and footer above apply to odd pages (1, 3, 5...)</small>
+              )}
+            </div>
+
+            {headerFooterData.oddEvenLayout === 'separate' && (
+              <>
+                <h2 className="section-title">Even Pages</h2>
+                <div className="header-footer-grid">
+                  {slotOptions.map(slot => (
+                    <div key={slot.value} className="position-group">
+                      <label>{slot.label}</label>
+                      <div className="input-group">
+                        <textarea
+                          rows="2"
+                          placeholder="Enter text for even pages"
+                          value={headerFooterData.evenPages[slot.value]}
+                          onChange={(e) => handleEvenPageChange(slot.value, e.target.value)}
+                          className="text-input"
+                        />
+                        <select 
+                          className="template-dropdown"
+                          value=""
+                          onChange={(e) => handleEvenPageChange(slot.value, templates.find(t => t.value === e.target.value)?.label || '')}
+                        >
+                          <option value="">Templates ▼</option>
+                          {templates.map(template => (
+                            <option key={template.value} value={template.value}>
+                              {template.label}
+                            </option>
+                          ))}
+                        </select>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              </>
+            )}
+          </div>
+
+          {/* Text Styles */}
+          <div className="section">
+            <h2 className="section-title">Text Styles</h2>
+            <div className="header-footer-grid">
+              {slotOptions.map(slot => (
+                <div key={slot.value} className="position-group">
+                  <label>{slot.label}</label>
+                  <div className="input-group">
+                    <input
+                      type="number"
+                      placeholder={String(headerFooterData.fontSize)}
+                      value={headerFooterData.slotStyles[slot.value]?.fontSize || ''}
+                      onChange={(e) => handleSlotStyleChange(slot.value, 'fontSize', parseInt(e.target.value) || undefined)}
+                      min="6"
+                      max="36"
+                      className="page-input"
+                      title="Font size (leave empty for the default size)"
+                    />
+                    <input
+                      type="color"
+                      value={headerFooterData.slotStyles[slot.value]?.color || headerFooterData.textColor}
+                      onChange={(e) => handleSlotStyleChange(slot.value, 'color', e.target.value)}
+                      className="color-input"
+                    />
+                    <label className="checkbox-label">
+                      <input
+                        type="checkbox"
+                        checked={Boolean(headerFooterData.slotStyles[slot.value]?.bold)}
+                        onChange={(e) => handleSlotStyleChange(slot.value, 'bold', e.target.checked)}
+                      />
+                      Bold
+                    </label>
+                    <label className="checkbox-label">
+                      <input
+                        type="checkbox"
+                        checked={Boolean(headerFooterData.slotStyles[slot.value]?.italic)}
+                        onChange={(e) => handleSlotStyleChange(slot.value, 'italic', e.target.checked)}
+                      />
+                      Italic
+                    </label>
+                  </div>
+                </div>
+              ))}
+            </div>
+
+            <div className="option-group">
+              <label>Line Spacing:</label>
+              <input
+                type="number"
+                value={headerFooterData.lineSpacing}
+                onChange={(e) => handleInputChange('lineSpacing', parseFloat(e.target.value) || 1.2)}
+                min="1"
+                max="3"
+                step="0.1"
+                className="page-input"
+              />
+            </div>
+
+            <div className="option-group">
+              <label>Long Text:</label>
+              <select
+                value={headerFooterData.overflow}
+                onChange={(e) => handleInputChange('overflow', e.target.value)}
+                className="template-dropdown"
+              >
+                {overflowModes.map(mode => (
+                  <option key={mode.value} value={mode.value}>
+                    {mode.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            <div className="option-group">
+              <label className="checkbox-label">
+                <input
+                  type="checkbox"
+                  checked={headerFooterData.headerRule}
+                  onChange={(e) => handleInputChange('headerRule', e.target.checked)}
+                />
+                Line under header
+              </label>
+              <label className="checkbox-label">
+                <input
+                  type="checkbox"
+                  checked={headerFooterData.footerRule}
+                  onChange={(e) => handleInputChange('footerRule', e.target.checked)}
+                />
+                Line above footer
+              </label>
+              {(headerFooterData.headerRule || headerFooterData.footerRule) && (
+                <>
+                  <input
+                    type="color"
+                    value={headerFooterData.ruleColor}
+                    onChange={(e) => handleInputChange('ruleColor', e.target.value)}
+                    className="color-input"
+                  />
+                  <input
+                    type="number"
+                    value={headerFooterData.ruleThickness}
+                    onChange={(e) => handleInputChange('ruleThickness', parseFloat(e.target.value) || 0.5)}
+                    min="0.25"
+                    max="5"
+                    step="0.25"
+                    className="page-input"
+                    title="Line thickness"
+                  />
+                  <span className="input-unit">pt</span>
+                </>
+              )}
+            </div>
+          </div>
+
+          {/* Images */}
+          <div className="section">
+            <h2 className="section-title">Images</h2>
+            <div className="header-footer-grid">
+              {slotOptions.map(slot => (
+                <div key={slot.value} className="position-group">
+                  <label>{slot.label}</label>
+                  <input
+                    type="file"
+                    accept="image/png,image/jpeg"
+                    onChange={(e) => handleSlotImageUpload(slot.value, e)}
+                  />
+                  {slotImages[slot.value] && (
+                    <div className="input-group">
+                      <input
+                        type="number"
+                        value={headerFooterData.imageOptions[slot.value]?.height ?? 24}
+                        onChange={(e) => handleImageOptionChange(slot.value, 'height', parseInt(e.target.value) || 24)}
+                        min="4"
+                        max="200"
+                        className="page-input"
+                        title="Image height"
+                      />
+                      <span className="input-unit">pt</span>
+                      <select
+                        className="template-dropdown"
+                        value={headerFooterData.imageOptions[slot.value]?.placement || 'before'}
+                        onChange={(e) => handleImageOptionChange(slot.value, 'placement', e.target.value)}
+                      >
+                        {imagePlacements.map(placement => (
+                          <option key={placement.value} value={placement.value}>
+                            {placement.label}
+                          </option>
+                        ))}
+                      </select>
+                    </div>
+                  )}
+                </div>
+              ))}
+            </div>
           </div>
 
           {/* Options */}
@@ -478,6 +912,38 @@ const HeaderFooterEditor = ({
                 <span className="checkmark"></span>
                 Cover margins with white color
               </label>
+              {headerFooterData.coverWithWhite && (
+                <>
+                  <select
+                    value={headerFooterData.whiteOutMode}
+                    onChange={(e) => handleInputChange('whiteOutMode', e.target.value)}
+                    className="template-dropdown"
+                  >
+                    <option value="band">Full-width strips</option>
+                    <option value="smart">Only existing header/footer content</option>
+                  </select>
+                  <input
+                    type="color"
+                    value={headerFooterData.whiteOutColor}
+                    onChange={(e) => handleInputChange('whiteOutColor', e.target.value)}
+                    className="color-input"
+                  />
+                  {headerFooterData.whiteOutMode === 'smart' && (
+                    <>
+                      <input
+                        type="number"
+                        value={headerFooterData.whiteOutPadding}
+                        onChange={(e) => handleInputChange('whiteOutPadding', parseFloat(e.target.value) || 0)}
+                        min="0"
+                        max="20"
+                        className="page-input"
+                        title="Padding around the covered content"
+                      />
+                      <span className="input-unit">pt</span>
+                    </>
+                  )}
+                </>
+              )}
             </div>
 
             <div className="option-group">
@@ -491,6 +957,37 @@ const HeaderFooterEditor = ({
               />
             </div>
 
+            <div className="option-group">
+              <label>Apply to Pages:</label>
+              <input
+                type="text"
+                placeholder="All pages (e.g. 2-10)"
+                value={headerFooterData.applyToPages}
+                onChange={(e) => handleInputChange('applyToPages', e.target.value)}
+                className="text-input"
+              />
+              <label>Exclude Pages:</label>
+              <input
+                type="text"
+                placeholder="e.g. 1, 4, 9-10"
+                value={headerFooterData.excludePages}
+                onChange={(e) => handleInputChange('excludePages', e.target.value)}
+                className="text-input"
+              />
+            </div>
+
+            <div className="option-group">
+              <label className="checkbox-label">
+                <input
+                  type="checkbox"
+                  checked={headerFooterData.countSkippedPages}
+                  onChange={(e) => handleInputChange('countSkippedPages', e.target.checked)}
+                />
+                <span className="checkmark"></span>
+                Skipped pages still count toward (x) and (y)
+              </label>
+            </div>
+
             <div className="option-group">
               <label>Text Color:</label>
               <input
@@ -513,6 +1010,259 @@ const HeaderFooterEditor = ({
               />
               <span className="input-unit">px</span>
             </div>
+
+            <div className="option-group">
+              <label>Font:</label>
+              <select
+                value={headerFooterData.fontName}
+                onChange={(e) => handleInputChange('fontName', e.target.value)}
+                className="template-dropdown"
+              >
+                <option value="">{fontFile ? `Uploaded (${fontFile.name})` : 'Default (Helvetica)'}</option>
+                {fonts.map(font => (
+                  <option key={font.value} value={font.value}>
+                    {font.label}
+                  </option>
+                ))}
+              </select>
+              <input
+                type="file"
+                accept=".ttf,.otf"
+                onChange={handleFontUpload}
+              />
+              <small>Upload a TTF/OTF font for non-Latin text such as Hindi, Marathi or Chinese.</small>
+            </div>
+
+            <div className="option-group">
+              <label>Margins:</label>
+              {[
+                { field: 'topMargin', label: 'Top' },
+                { field: 'bottomMargin', label: 'Bottom' },
+                { field: 'leftMargin', label: 'Left' },
+                { field: 'rightMargin', label: 'Right' }
+              ].map(margin => (
+                <input
+                  key={margin.field}
+                  type="number"
+                  title={`${margin.label} margin`}
+                  placeholder={margin.label}
+                  value={headerFooterData[margin.field]}
+                  onChange={(e) => handleInputChange(margin.field, parseFloat(e.target.value) || 0)}
+                  min="0"
+                  className="page-input"
+                />
+              ))}
+              <span className="input-unit">pt</span>
+            </div>
+
+            <div className="option-group">
+              <label>Date Format:</label>
+              <input
+                type="text"
+                value={headerFooterData.dateFormat}
+                onChange={(e) => handleInputChange('dateFormat', e.target.value)}
+                placeholder="YYYY-MM-DD"
+                className="page-input"
+              />
+              <label>Time Format:</label>
+              <input
+                type="text"
+                value={headerFooterData.timeFormat}
+                onChange={(e) => handleInputChange('timeFormat', e.target.value)}
+                placeholder="HH:mm"
+                className="page-input"
+              />
+              <small>Tokens: YYYY, MM, MMM, DD, HH, hh, mm, ss, A (AM/PM, when not part of a word). Put literal text in [brackets]</small>
+            </div>
+
+            <div className="option-group">
+              <label>Time Zone:</label>
+              <input
+                type="text"
+                value={headerFooterData.timeZone}
+                onChange={(e) => handleInputChange('timeZone', e.target.value)}
+                placeholder="e.g. Asia/Kolkata"
+                className="text-input"
+              />
+            </div>
+          </div>
+
+          {/* Page Number Style */}
+          <div className="options">
+            <div className="option-group">
+              <label>Number Style:</label>
+              <select
+                value={headerFooterData.numberStyle}
+                onChange={(e) => handleInputChange('numberStyle', e.target.value)}
+                className="template-dropdown"
+              >
+                {numberStyles.map(style => (
+                  <option key={style.value} value={style.value}>
+                    {style.label}
+                  </option>
+                ))}
+              </select>
+              {headerFooterData.numberStyle === 'zero-padded' && (
+                <>
+                  <label>Digits:</label>
+                  <input
+                    type="number"
+                    value={headerFooterData.numberPadding}
+                    onChange={(e) => handleInputChange('numberPadding', parseInt(e.target.value) || 1)}
+                    min="1"
+                    max="10"
+                    className="page-input"
+                  />
+                </>
+              )}
+            </div>
+
+            <div className="split-options">
+              <h3>Numbering Ranges</h3>
+              {headerFooterData.numberingRanges.map((range, index) => (
+                <div key={index} className="range-group">
+                  <div className="range-inputs">
+                    <span>From page</span>
+                    <input
+                      type="number"
+                      placeholder="Page"
+                      value={range.fromPage}
+                      onChange={(e) => handleNumberingRangeChange(index, 'fromPage', e.target.value)}
+                      min="1"
+                      className="page-input"
+                    />
+                    <select
+                      value={range.style}
+                      onChange={(e) => handleNumberingRangeChange(index, 'style', e.target.value)}
+                      className="template-dropdown"
+                    >
+                      {numberStyles.map(style => (
+                        <option key={style.value} value={style.value}>
+                          {style.label}
+                        </option>
+                      ))}
+                    </select>
+                    <input
+                      type="text"
+                      placeholder="Prefix (e.g. A-)"
+                      value={range.prefix}
+                      onChange={(e) => handleNumberingRangeChange(index, 'prefix', e.target.value)}
+                      className="page-input"
+                    />
+                    <span>starting at</span>
+                    <input
+                      type="number"
+                      value={range.start}
+                      onChange={(e) => handleNumberingRangeChange(index, 'start', e.target.value)}
+                      min="1"
+                      className="page-input"
+                    />
+                    <button
+                      type="button"
+                      className="remove-range-btn"
+                      onClick={() => removeNumberingRange(index)}
+                    >
+                      ✕
+                    </button>
+                  </div>
+                </div>
+              ))}
+              <button
+                type="button"
+                className="add-range-btn"
+                onClick={addNumberingRange}
+              >
+                + Add Range
+              </button>
+              <small>Each range restyles (x) from its page onwards, e.g. i, ii, iii for front matter and A-1, A-2 for an appendix</small>
+            </div>
+
+            <div className="option-group">
+              <label className="checkbox-label">
+                <input
+                  type="checkbox"
+                  checked={headerFooterData.writePageLabels}
+                  onChange={(e) => handleInputChange('writePageLabels', e.target.checked)}
+                />
+                <span className="checkmark"></span>
+                Show these page numbers in PDF viewer navigation (page labels)
+              </label>
+            </div>
+          </div>
+
+          {/* Bates Numbering */}
+          <div className="options">
+            <div className="option-group">
+              <label className="checkbox-label">
+                <input
+                  type="checkbox"
+                  checked={headerFooterData.batesNumbering}
+                  onChange={(e) => handleInputChange('batesNumbering', e.target.checked)}
+                />
+                <span className="checkmark"></span>
+                Bates numbering
+              </label>
+            </div>
+
+            {headerFooterData.batesNumbering && (
+              <>
+                <div className="option-group">
+                  <label>Prefix:</label>
+                  <input
+                    type="text"
+                    placeholder="ACME-"
+                    value={headerFooterData.batesPrefix}
+                    onChange={(e) => handleInputChange('batesPrefix', e.target.value)}
+                    className="page-input"
+                  />
+                  <label>Suffix:</label>
+                  <input
+                    type="text"
+                    value={headerFooterData.batesSuffix}
+                    onChange={(e) => handleInputChange('batesSuffix', e.target.value)}
+                    className="page-input"
+                  />
+                  <label>Digits:</label>
+                  <input
+                    type="number"
+                    value={headerFooterData.batesDigits}
+                    onChange={(e) => handleInputChange('batesDigits', parseInt(e.target.value) || 0)}
+                    min="0"
+                    max="12"
+                    className="page-input"
+                  />
+                </div>
+
+                <div className="option-group">
+                  <label>Position:</label>
+                  <select
+                    value={headerFooterData.batesPosition}
+                    onChange={(e) => handleInputChange('batesPosition', e.target.value)}
+                    className="template-dropdown"
+                  >
+                    {slotOptions.map(slot => (
+                      <option key={slot.value} value={slot.value}>
+                        {slot.label}
+                      </option>
+                    ))}
+                  </select>
+                  <small>Used when that slot is empty; otherwise add (bates) to any slot. Numbers start at the Start Page Number.</small>
+                </div>
+
+                <div className="option-group">
+                  <label>Continue across files:</label>
+                  <input
+                    type="file"
+                    accept=".pdf"
+                    multiple
+                    onChange={handleAdditionalFiles}
+                  />
+                  {additionalFiles.length > 0 && (
+                    <small>{additionalFiles.length} more file(s) — you will receive a ZIP with a manifest</small>
+                  )}
+                </div>
+              </>
+            )}
           </div>
 
           {/* Process Button */}
@@ -9,6 +9,8 @@ const SplitEditor = () => {
     pages: '',
     ranges: [{ start: '', end: '' }],
     everyNPages: 1,
+    bookmarkDepth: 1,
+    maxFileSizeMB: 10,
     fileName: 'document'
   });
   const fileInputRef = useRef(null);
@@ -16,7 +18,9 @@ const SplitEditor = () => {
   const splitTypes = [
     { value: 'every', label: 'Split Every N Pages' },
     { value: 'pages', label: 'Extract Specific Pages' },
-    { value: 'ranges', label: 'Split by Page Ranges' }
+    { value: 'ranges', label: 'Split by Page Ranges' },
+    { value: 'bookmarks', label: 'Split by Bookmarks' },
+    { value: 'size', label: 'Split by File Size' }
   ];
 
   const handleFileUpload = (event) => {
@@ -99,6 +103,11 @@ const SplitEditor = () => {
       return;
     }
 
+    if (splitData.splitType === 'size' && !(splitData.maxFileSizeMB > 0)) {
+      alert('Maximum file size must be greater than 0 MB');
+      return;
+    }
+
     setIsProcessing(true);
     try {
       // Process split data based on type
@@ -122,6 +131,11 @@ const SplitEditor = () => {
           }));
       }
 
+      if (splitData.splitType === 'size') {
+        // Upload limits are usually decimal megabytes, so 1 MB is 1,000,000 bytes
+        processedSplitData.maxFileSize = Math.floor(splitData.maxFileSizeMB * 1000 * 1000);
+      }
+
       const formData = new FormData();
       formData.append('pdf', selectedFile);
       formData.append('splitData', JSON.stringify(processedSplitData));
@@ -245,6 +259,43 @@ const SplitEditor = () => {
           </div>
         )}
 
+        {splitData.splitType === 'bookmarks' && (
+          <div className="split-options">
+            <h3>Split by Bookmarks</h3>
+            <div className="option-group">
+              <label>Bookmark Level:</label>
+              <select
+                value={splitData.bookmarkDepth}
+                onChange={(e) => handleInputChange('bookmarkDepth', parseInt(e.target.value))}
+                className="template-dropdown"
+              >
+                <option value={1}>Top-level bookmarks (chapters)</option>
+                <option value={2}>Down to level 2 (sections)</option>
+                <option value={3}>Down to level 3</option>
+              </select>
+              <small>A new file starts at each bookmark up to this level</small>
+            </div>
+          </div>
+        )}
+
+        {splitData.splitType === 'size' && (
+          <div className="split-options">
+            <h3>Split by File Size</h3>
+            <div className="option-group">
+              <label>Maximum file size (MB):</label>
+              <input
+                type="number"
+                value={splitData.maxFileSizeMB}
+                onChange={(e) => handleInputChange('maxFileSizeMB', parseFloat(e.target.value) || 0)}
+                min="0.1"
+                step="0.1"
+                className="page-input"
+              />
+              <small>Each output file will stay under this size</small>
+            </div>
+          </div>
+        )}
+
         {splitData.splitType === 'pages' && (
           <div className="split-options">
             <h3>Extract Specific Pages</h3>
@@ -318,10 +369,16 @@ const SplitEditor = () => {
           {splitData.splitType === 'pages' && (
             <p>Extract individual pages as separate PDF files. Enter page numbers separated by commas.</p>
           )}
+          {splitData.splitType === 'bookmarks' && (
+            <p>Split the PDF at its bookmarks. Each file is named after its bookmark title; pages before the first bookmark go into a front matter file.</p>
+          )}
+          {splitData.splitType === 'size' && (
+            <p>Consecutive pages are packed into files of at most {splitData.maxFileSizeMB} MB each. A single page larger than the limit gets a file of its own. The ZIP file includes a manifest.json listing the size of every part.</p>
+          )}
           {splitData.splitType === 'ranges' && (
             <p>Split PDF into files containing the specified page ranges. Each range becomes a separate file.</p>
           )}
-          <p><strong>Output:</strong> {splitData.splitType === 'pages' || splitData.ranges?.length > 1 ? 'ZIP file containing multiple PDFs' : 'Single PDF or ZIP file'}</p>
+          <p><strong>Output:</strong> {['pages', 'bookmarks'].includes(splitData.splitType) || splitData.ranges?.length > 1 ? 'ZIP file containing multiple PDFs' : 'Single PDF or ZIP file'}</p>
         </div>
       </div>
 
@@ -1,6 +1,12 @@
-import React, { useState, useRef } from 'react';
+import React, { useState, useRef, useEffect } from 'react';
+import * as pdfjsLib from 'pdfjs-dist';
 import './PDFEditor.css';
 
+pdfjsLib.GlobalWorkerOptions.workerSrc = new URL('pdfjs-dist/build/pdf.worker.min.js', import.meta.url).toString();
+
+// Width of the rendered first page in the preview, in pixels
+const PREVIEW_WIDTH = 240;
+
 const WatermarkEditor = () => {
   const [selectedFile, setSelectedFile] = useState(null);
   const [isProcessing, setIsProcessing] = useState(false);
@@ -11,17 +17,113 @@ const WatermarkEditor = () => {
     color: '#808080',
     rotation: 45,
     position: 'center',
+    x: 50,
+    y: 50,
+    positionUnit: 'percent',
+    marginX: 50,
+    marginY: '', // empty uses the server default for the watermark type
     startPage: 1,
-    endPage: 0 // 0 means all pages
+    endPage: 0, // 0 means all pages
+    fontName: '',
+    type: 'text',
+    imageScale: 0.5,
+    tileSpacingX: 100,
+    tileSpacingY: 100,
+    tileStagger: true,
+    optionalContent: false,
+    layerName: 'Watermark',
+    layerView: true,
+    layerPrint: true,
+    layerExport: true,
+    layer: 'foreground',
+    forensicId: '' // hidden on every page; read back with /api/pdf/watermark/detect
   });
+  const [fontFile, setFontFile] = useState(null);
+  const [imageFile, setImageFile] = useState(null);
+  const [imagePreviewUrl, setImagePreviewUrl] = useState('');
+  const [fonts, setFonts] = useState([]);
+  // Batch mode makes one copy per recipient, filling {placeholders} in the text
+  const [batchMode, setBatchMode] = useState(false);
+  const [recipientsText, setRecipientsText] = useState('name,email\n');
+  const [recipientsFile, setRecipientsFile] = useState(null);
+  // First page of the selected PDF: size in points and a rendered image
+  const [pagePreview, setPagePreview] = useState(null);
+  const [isDragging, setIsDragging] = useState(false);
   const fileInputRef = useRef(null);
+  const previewPageRef = useRef(null);
+
+  useEffect(() => {
+    const fetchFonts = async () => {
+      try {
+        const response = await fetch(`${process.env.REACT_APP_API_URL}/api/pdf/watermark/options`);
+        if (response.ok) {
+          const data = await response.json();
+          if (data.success && Array.isArray(data.options.fonts)) {
+            setFonts(data.options.fonts);
+          }
+        }
+      } catch (error) {
+        console.error('Error fetching fonts:', error);
+      }
+    };
+
+    fetchFonts();
+  }, []);
+
+  // Render the first page so the watermark can be placed on it
+  useEffect(() => {
+    if (!selectedFile) {
+      setPagePreview(null);
+      return undefined;
+    }
+
+    let cancelled = false;
+    let loadingTask = null;
+    const renderFirstPage = async () => {
+      try {
+        loadingTask = pdfjsLib.getDocument({ data: new Uint8Array(await selectedFile.arrayBuffer()) });
+        const pdf = await loadingTask.promise;
+        const page = await pdf.getPage(1);
+        const pageSize = page.getViewport({ scale: 1 });
+        const viewport = page.getViewport({ scale: PREVIEW_WIDTH / pageSize.width });
+
+        const canvas = document.createElement('canvas');
+        canvas.width = viewport.width;
+        canvas.height = viewport.height;
+        await page.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+
+        if (!cancelled) {
+          setPagePreview({
+            width: pageSize.width,
+            height: pageSize.height,
+            image: canvas.toDataURL()
+          });
+        }
+      } catch (error) {
+        console.error('Error rendering page preview:', error);
+        if (!cancelled) {
+          setPagePreview(null);
+        }
+      }
+    };
+
+    renderFirstPage();
+    return () => {
+      cancelled = true;
+      if (loadingTask) {
+        loadingTask.destroy();
+      }
+    };
+  }, [selectedFile]);
 
   const positions = [
     { value: 'center', label: 'Center' },
     { value: 'top-left', label: 'Top Left' },
     { value: 'top-right', label: 'Top Right' },
     { value: 'bottom-left', label: 'Bottom Left' },
-    { value: 'bottom-right', label: 'Bottom Right' }
+    { value: 'bottom-right', label: 'Bottom Right' },
+    { value: 'tile', label: 'Tile (repeat across page)' },
+    { value: 'custom', label: 'Custom (drag on preview)' }
   ];
 
   const handleFileUpload = (event) => {
@@ -54,22 +156,90 @@ const WatermarkEditor = () => {
     }));
   };
 
+  const handleFontUpload = (event) => {
+    const file = event.target.files[0] || null;
+    if (file && !/\.(ttf|otf)$/i.test(file.name)) {
+      alert('Please select a TTF or OTF font file');
+      return;
+    }
+    setFontFile(file);
+    // An uploaded font is only used when no other font is selected
+    handleInputChange('fontName', '');
+  };
+
+  const handleImageUpload = (event) => {
+    const file = event.target.files[0];
+    if (!file || !['image/png', 'image/jpeg'].includes(file.type)) {
+      alert('Please select a PNG or JPEG image');
+      return;
+    }
+    setImageFile(file);
+    setImagePreviewUrl(URL.createObjectURL(file));
+  };
+
+  const handleBatchModeChange = (enabled) => {
+    setBatchMode(enabled);
+    if (enabled && watermarkData.type === 'text' && !/\{[^{}]+\}/.test(watermarkData.text)) {
+      handleInputChange('text', 'Prepared for {name} <{email}> on {date}');
+    }
+  };
+
+  const handleRecipientsUpload = (event) => {
+    const file = event.target.files[0] || null;
+    if (file && !/\.(csv|json)$/i.test(file.name)) {
+      alert('Please select a CSV or JSON recipient list');
+      return;
+    }
+    setRecipientsFile(file);
+  };
+
+  // Release the preview URL when the image changes or the editor closes
+  useEffect(() => {
+    return () => {
+      if (imagePreviewUrl) {
+        URL.revokeObjectURL(imagePreviewUrl);
+      }
+    };
+  }, [imagePreviewUrl]);
+
   const handleProcessPDF = async () => {
     if (!selectedFile) {
       alert('Please select a PDF file first');
       return;
     }
+    if (watermarkData.type === 'image' && !imageFile) {
+      alert('Please select a watermark image first');
+      return;
+    }
+    const isBatch = batchMode && watermarkData.type !== 'image';
+    if (isBatch && !recipientsFile && !recipientsText.trim()) {
+      alert('Please enter or upload a recipient list first');
+      return;
+    }
+    if (watermarkData.type === 'forensic' && !isBatch && !watermarkData.forensicId.trim()) {
+      alert('Please enter a forensic ID first');
+      return;
+    }
 
     setIsProcessing(true);
     try {
       const formData = new FormData();
       formData.append('pdf', selectedFile);
       formData.append('watermarkData', JSON.stringify(watermarkData));
+      if (watermarkData.type === 'image') {
+        formData.append('image', imageFile);
+      } else if (fontFile) {
+        formData.append('font', fontFile);
+      }
+      if (isBatch) {
+        formData.append('recipients', recipientsFile || recipientsText);
+      }
 
       console.log('Sending watermark data:', watermarkData);
       console.log('Selected file:', selectedFile.name);
 
-      const response = await fetch(`${process.env.REACT_APP_API_URL}/api/pdf/watermark`, {
+      const endpoint = isBatch ? '/api/pdf/watermark/batch' : '/api/pdf/watermark';
+      const response = await fetch(`${process.env.REACT_APP_API_URL}${endpoint}`, {
         method: 'POST',
         body: formData,
       });
@@ -80,7 +250,7 @@ const WatermarkEditor = () => {
         const a = document.createElement('a');
         a.style.display = 'none';
         a.href = url;
-        a.download = 'watermarked-document.pdf';
+        a.download = isBatch ? 'watermarked-batch.zip' : 'watermarked-document.pdf';
         document.body.appendChild(a);
         a.click();
         window.URL.revokeObjectURL(url);
@@ -103,6 +273,80 @@ const WatermarkEditor = () => {
     }
   };
 
+  // Dragging on the preview centres the watermark on the pointer
+  const moveWatermarkTo = (event) => {
+    const rect = previewPageRef.current.getBoundingClientRect();
+    const clamp = (value) => Math.min(1, Math.max(0, value));
+    const left = clamp((event.clientX - rect.left) / rect.width);
+    const top = clamp((event.clientY - rect.top) / rect.height);
+    const usePoints = watermarkData.positionUnit === 'pt' && pagePreview;
+
+    setWatermarkData(prev => ({
+      ...prev,
+      position: 'custom',
+      x: usePoints ? Math.round(left * pagePreview.width) : Math.round(left * 1000) / 10,
+      y: usePoints ? Math.round(top * pagePreview.height) : Math.round(top * 1000) / 10
+    }));
+  };
+
+  const handlePreviewPointerDown = (event) => {
+    if (watermarkData.position === 'tile') {
+      return;
+    }
+    event.currentTarget.setPointerCapture(event.pointerId);
+    setIsDragging(true);
+    moveWatermarkTo(event);
+  };
+
+  const handlePreviewPointerMove = (event) => {
+    if (isDragging) {
+      moveWatermarkTo(event);
+    }
+  };
+
+  // Preview scale in pixels per point; without a rendered page the preview is a rough sketch
+  const previewScale = pagePreview ? PREVIEW_WIDTH / pagePreview.width : null;
+  const previewFontSize = previewScale
+    ? watermarkData.fontSize * previewScale
+    : Math.max(8, watermarkData.fontSize / 6);
+  // PDF rotation is counter-clockwise, CSS rotation clockwise
+  const previewRotation = -watermarkData.rotation;
+  // Custom coordinates as percentages of the page (points assume US Letter until a page is rendered)
+  const previewPageSize = pagePreview || { width: 612, height: 792 };
+  const customLeft = watermarkData.positionUnit === 'pt'
+    ? watermarkData.x / previewPageSize.width * 100
+    : watermarkData.x;
+  const customTop = watermarkData.positionUnit === 'pt'
+    ? watermarkData.y / previewPageSize.height * 100
+    : watermarkData.y;
+
+  // Corner insets: text sits on a baseline marginY from the edge, images keep marginY to their edge
+  const cornerInsets = () => {
+    if (!previewScale) {
+      return { side: '20px', top: '20px', bottom: '20px' };
+    }
+    const isImage = watermarkData.type === 'image';
+    const marginY = watermarkData.marginY === '' ? (isImage ? 50 : 100) : watermarkData.marginY;
+    return {
+      side: `${watermarkData.marginX * previewScale}px`,
+      top: `${(isImage ? marginY : marginY - watermarkData.fontSize * 0.75) * previewScale}px`,
+      bottom: `${marginY * previewScale}px`
+    };
+  };
+  const insets = cornerInsets();
+
+  const previewContent = watermarkData.type === 'forensic'
+    ? null
+    : watermarkData.type === 'image'
+    ? imagePreviewUrl && (
+      <img
+        src={imagePreviewUrl}
+        alt="Watermark preview"
+        style={{ width: `${watermarkData.imageScale * (pagePreview ? PREVIEW_WIDTH : 150)}px`, display: 'block' }}
+      />
+    )
+    : watermarkData.text;
+
   return (
     <div className="editor-container">
       <div className="page-icon">🖼️</div>
@@ -134,80 +378,335 @@ const WatermarkEditor = () => {
         
         <div className="watermark-grid">
           <div className="option-group">
-            <label>Watermark Text:</label>
-            <input
-              type="text"
-              placeholder="Enter watermark text"
-              value={watermarkData.text}
-              onChange={(e) => handleInputChange('text', e.target.value)}
-              className="text-input"
-            />
-          </div>
-
-          <div className="option-group">
-            <label>Position:</label>
-            <select 
-              value={watermarkData.position}
-              onChange={(e) => handleInputChange('position', e.target.value)}
+            <label>Watermark Type:</label>
+            <select
+              value={watermarkData.type}
+              onChange={(e) => handleInputChange('type', e.target.value)}
               className="template-dropdown"
             >
-              {positions.map(position => (
-                <option key={position.value} value={position.value}>
-                  {position.label}
-                </option>
-              ))}
+              <option value="text">Text</option>
+              <option value="image">Image</option>
+              <option value="forensic">Forensic (invisible only)</option>
             </select>
           </div>
 
-          <div className="option-group">
-            <label>Font Size:</label>
-            <input
-              type="range"
-              min="12"
-              max="100"
-              value={watermarkData.fontSize}
-              onChange={(e) => handleInputChange('fontSize', parseInt(e.target.value))}
-              className="range-input"
-            />
-            <span className="range-value">{watermarkData.fontSize}px</span>
-          </div>
+          {watermarkData.type === 'text' ? (
+            <div className="option-group">
+              <label>Watermark Text:</label>
+              <input
+                type="text"
+                placeholder="Enter watermark text"
+                value={watermarkData.text}
+                onChange={(e) => handleInputChange('text', e.target.value)}
+                className="text-input"
+              />
+            </div>
+          ) : watermarkData.type === 'image' && (
+            <div className="option-group">
+              <label>Watermark Image:</label>
+              <input
+                type="file"
+                accept="image/png,image/jpeg"
+                onChange={handleImageUpload}
+              />
+              <small>PNG transparency is preserved</small>
+            </div>
+          )}
 
           <div className="option-group">
-            <label>Opacity:</label>
+            <label>Forensic ID:</label>
             <input
-              type="range"
-              min="0.1"
-              max="1"
-              step="0.1"
-              value={watermarkData.opacity}
-              onChange={(e) => handleInputChange('opacity', parseFloat(e.target.value))}
-              className="range-input"
+              type="text"
+              placeholder={batchMode && watermarkData.type !== 'image' ? '{email}' : 'Optional, e.g. jane@example.com'}
+              value={watermarkData.forensicId}
+              onChange={(e) => handleInputChange('forensicId', e.target.value)}
+              className="text-input"
             />
-            <span className="range-value">{Math.round(watermarkData.opacity * 100)}%</span>
+            <small>Hidden invisibly on every page so a leaked copy can be traced</small>
           </div>
 
-          <div className="option-group">
-            <label>Color:</label>
-            <input
-              type="color"
-              value={watermarkData.color}
-              onChange={(e) => handleInputChange('color', e.target.value)}
-              className="color-input"
-            />
-          </div>
+          {watermarkData.type !== 'image' && (
+            <div className="option-group">
+              <label className="checkbox-label">
+                <input
+                  type="checkbox"
+                  checked={batchMode}
+                  onChange={(e) => handleBatchModeChange(e.target.checked)}
+                />
+                One copy per recipient
+              </label>
+            </div>
+          )}
 
-          <div className="option-group">
-            <label>Rotation:</label>
-            <input
-              type="range"
-              min="-90"
-              max="90"
-              value={watermarkData.rotation}
-              onChange={(e) => handleInputChange('rotation', parseInt(e.target.value))}
-              className="range-input"
-            />
-            <span className="range-value">{watermarkData.rotation}°</span>
-          </div>
+          {batchMode && watermarkData.type !== 'image' && (
+            <div className="option-group">
+              <label>Recipients:</label>
+              <textarea
+                rows="4"
+                value={recipientsText}
+                onChange={(e) => setRecipientsText(e.target.value)}
+                placeholder={'name,email\nJane Doe,jane@example.com'}
+                className="text-input"
+                disabled={!!recipientsFile}
+              />
+              <input
+                type="file"
+                accept=".csv,.json"
+                onChange={handleRecipientsUpload}
+              />
+              <small>CSV with a header row or a JSON array. Use column names such as {'{name}'} and {'{email}'}, or {'{date}'}, {'{time}'} and {'{index}'}, in the text and forensic ID.</small>
+            </div>
+          )}
+
+          {/* Drawing settings do not apply to invisible forensic marks */}
+          {watermarkData.type !== 'forensic' && (
+            <>
+              <div className="option-group">
+                <label>Position:</label>
+                <select 
+                  value={watermarkData.position}
+                  onChange={(e) => handleInputChange('position', e.target.value)}
+                  className="template-dropdown"
+                >
+                  {positions.map(position => (
+                    <option key={position.value} value={position.value}>
+                      {position.label}
+                    </option>
+                  ))}
+                </select>
+              </div>
+
+              {watermarkData.position === 'custom' && (
+                <div className="option-group">
+                  <label>Center (from top-left):</label>
+                  <input
+                    type="number"
+                    value={watermarkData.x}
+                    onChange={(e) => handleInputChange('x', parseFloat(e.target.value) || 0)}
+                    min="0"
+                    className="page-input"
+                    title="Distance from the left edge"
+                  />
+                  <span className="input-unit">×</span>
+                  <input
+                    type="number"
+                    value={watermarkData.y}
+                    onChange={(e) => handleInputChange('y', parseFloat(e.target.value) || 0)}
+                    min="0"
+                    className="page-input"
+                    title="Distance from the top edge"
+                  />
+                  <select
+                    value={watermarkData.positionUnit}
+                    onChange={(e) => handleInputChange('positionUnit', e.target.value)}
+                    className="template-dropdown"
+                  >
+                    <option value="percent">% of page</option>
+                    <option value="pt">pt</option>
+                  </select>
+                </div>
+              )}
+
+              {['top-left', 'top-right', 'bottom-left', 'bottom-right'].includes(watermarkData.position) && (
+                <div className="option-group">
+                  <label>Corner Margins:</label>
+                  <input
+                    type="number"
+                    value={watermarkData.marginX}
+                    onChange={(e) => handleInputChange('marginX', parseFloat(e.target.value) || 0)}
+                    min="0"
+                    className="page-input"
+                    title="Inset from the side edge"
+                  />
+                  <span className="input-unit">×</span>
+                  <input
+                    type="number"
+                    value={watermarkData.marginY}
+                    onChange={(e) => handleInputChange('marginY', e.target.value === '' ? '' : parseFloat(e.target.value) || 0)}
+                    min="0"
+                    placeholder="Auto"
+                    className="page-input"
+                    title="Inset from the top or bottom edge"
+                  />
+                  <span className="input-unit">pt</span>
+                </div>
+              )}
+
+              {watermarkData.type === 'text' ? (
+                <>
+                  <div className="option-group">
+                    <label>Font Size:</label>
+                    <input
+                      type="range"
+                      min="12"
+                      max="100"
+                      value={watermarkData.fontSize}
+                      onChange={(e) => handleInputChange('fontSize', parseInt(e.target.value))}
+                      className="range-input"
+                    />
+                    <span className="range-value">{watermarkData.fontSize}px</span>
+                  </div>
+
+                  <div className="option-group">
+                    <label>Font:</label>
+                    <select
+                      value={watermarkData.fontName}
+                      onChange={(e) => handleInputChange('fontName', e.target.value)}
+                      className="template-dropdown"
+                    >
+                      <option value="">{fontFile ? `Uploaded (${fontFile.name})` : 'Default (Helvetica)'}</option>
+                      {fonts.map(font => (
+                        <option key={font.value} value={font.value}>
+                          {font.label}
+                        </option>
+                      ))}
+                    </select>
+                    <input
+                      type="file"
+                      accept=".ttf,.otf"
+                      onChange={handleFontUpload}
+                    />
+                  </div>
+                </>
+              ) : (
+                <div className="option-group">
+                  <label>Image Size:</label>
+                  <input
+                    type="range"
+                    min="0.05"
+                    max="1"
+                    step="0.05"
+                    value={watermarkData.imageScale}
+                    onChange={(e) => handleInputChange('imageScale', parseFloat(e.target.value))}
+                    className="range-input"
+                  />
+                  <span className="range-value">{Math.round(watermarkData.imageScale * 100)}% of page width</span>
+                </div>
+              )}
+
+              <div className="option-group">
+                <label>Placement:</label>
+                <select
+                  value={watermarkData.layer}
+                  onChange={(e) => handleInputChange('layer', e.target.value)}
+                  className="template-dropdown"
+                >
+                  <option value="foreground">Over page content</option>
+                  <option value="background">Behind page content</option>
+                </select>
+              </div>
+
+              <div className="option-group">
+                <label>Opacity:</label>
+                <input
+                  type="range"
+                  min="0.1"
+                  max="1"
+                  step="0.1"
+                  value={watermarkData.opacity}
+                  onChange={(e) => handleInputChange('opacity', parseFloat(e.target.value))}
+                  className="range-input"
+                />
+                <span className="range-value">{Math.round(watermarkData.opacity * 100)}%</span>
+              </div>
+
+              {watermarkData.type === 'text' && (
+                <div className="option-group">
+                  <label>Color:</label>
+                  <input
+                    type="color"
+                    value={watermarkData.color}
+                    onChange={(e) => handleInputChange('color', e.target.value)}
+                    className="color-input"
+                  />
+                </div>
+              )}
+
+              <div className="option-group">
+                <label>Rotation:</label>
+                <input
+                  type="range"
+                  min="-90"
+                  max="90"
+                  value={watermarkData.rotation}
+                  onChange={(e) => handleInputChange('rotation', parseInt(e.target.value))}
+                  className="range-input"
+                />
+                <span className="range-value">{watermarkData.rotation}°</span>
+              </div>
+
+              {watermarkData.position === 'tile' && (
+                <div className="option-group">
+                  <label>Tile Spacing:</label>
+                  <input
+                    type="number"
+                    value={watermarkData.tileSpacingX}
+                    onChange={(e) => handleInputChange('tileSpacingX', parseInt(e.target.value) || 0)}
+                    min="0"
+                    max="400"
+                    className="page-input"
+                    title="Horizontal gap between tiles"
+                  />
+                  <span className="input-unit">×</span>
+                  <input
+                    type="number"
+                    value={watermarkData.tileSpacingY}
+                    onChange={(e) => handleInputChange('tileSpacingY', parseInt(e.target.value) || 0)}
+                    min="0"
+                    max="400"
+                    className="page-input"
+                    title="Vertical gap between rows"
+                  />
+                  <span className="input-unit">pt</span>
+                  <label className="checkbox-label">
+                    <input
+                      type="checkbox"
+                      checked={watermarkData.tileStagger}
+                      onChange={(e) => handleInputChange('tileStagger', e.target.checked)}
+                    />
+                    Stagger rows
+                  </label>
+                </div>
+              )}
+
+              <div className="option-group">
+                <label className="checkbox-label">
+                  <input
+                    type="checkbox"
+                    checked={watermarkData.optionalContent}
+                    onChange={(e) => handleInputChange('optionalContent', e.target.checked)}
+                  />
+                  Put watermark in a toggleable layer
+                </label>
+                {watermarkData.optionalContent && (
+                  <>
+                    <input
+                      type="text"
+                      placeholder="Layer name"
+                      value={watermarkData.layerName}
+                      onChange={(e) => handleInputChange('layerName', e.target.value)}
+                      className="text-input"
+                    />
+                    {[
+                      { field: 'layerView', label: 'Show on screen' },
+                      { field: 'layerPrint', label: 'Print' },
+                      { field: 'layerExport', label: 'Export' }
+                    ].map(({ field, label }) => (
+                      <label key={field} className="checkbox-label">
+                        <input
+                          type="checkbox"
+                          checked={watermarkData[field]}
+                          onChange={(e) => handleInputChange(field, e.target.checked)}
+                        />
+                        {label}
+                      </label>
+                    ))}
+                    <small>Viewers without layer support always show the watermark</small>
+                  </>
+                )}
+              </div>
+            </>
+          )}
 
           <div className="option-group">
             <label>Start Page:</label>
@@ -238,25 +737,69 @@ const WatermarkEditor = () => {
       {/* Preview */}
       <div className="section">
         <h2 className="section-title">Preview</h2>
+        {watermarkData.type === 'forensic' && (
+          <small>Forensic watermarks do not change how the pages look</small>
+        )}
+        {watermarkData.type !== 'forensic' && watermarkData.position !== 'tile' && (
+          <small>Drag on the page to place the watermark</small>
+        )}
         <div className="watermark-preview">
-          <div className="preview-page">
-            <div 
-              className="preview-watermark"
-              style={{
-                fontSize: `${Math.max(8, watermarkData.fontSize / 6)}px`,
-                opacity: watermarkData.opacity,
-                color: watermarkData.color,
-                transform: `rotate(${watermarkData.rotation}deg)`,
-                position: 'absolute',
-                ...(watermarkData.position === 'center' && { top: '50%', left: '50%', transform: `translate(-50%, -50%) rotate(${watermarkData.rotation}deg)` }),
-                ...(watermarkData.position === 'top-left' && { top: '20px', left: '20px' }),
-                ...(watermarkData.position === 'top-right' && { top: '20px', right: '20px' }),
-                ...(watermarkData.position === 'bottom-left' && { bottom: '20px', left: '20px' }),
-                ...(watermarkData.position === 'bottom-right' && { bottom: '20px', right: '20px' })
-              }}
-            >
-              {watermarkData.text}
-            </div>
+          <div
+            ref={previewPageRef}
+            className={`preview-page ${watermarkData.position !== 'tile' ? 'draggable' : ''}`}
+            style={pagePreview ? {
+              width: `${PREVIEW_WIDTH}px`,
+              height: `${PREVIEW_WIDTH * pagePreview.height / pagePreview.width}px`,
+              backgroundImage: `url(${pagePreview.image})`,
+              backgroundSize: '100% 100%'
+            } : undefined}
+            onPointerDown={handlePreviewPointerDown}
+            onPointerMove={handlePreviewPointerMove}
+            onPointerUp={() => setIsDragging(false)}
+            onPointerCancel={() => setIsDragging(false)}
+          >
+            {watermarkData.position === 'tile' ? (
+              <div
+                className="preview-watermark"
+                style={{
+                  position: 'absolute',
+                  inset: '-50%',
+                  display: 'flex',
+                  flexWrap: 'wrap',
+                  alignContent: 'center',
+                  justifyContent: 'center',
+                  columnGap: `${watermarkData.tileSpacingX * (previewScale || 1 / 6)}px`,
+                  rowGap: `${watermarkData.tileSpacingY * (previewScale || 1 / 6)}px`,
+                  fontSize: `${previewFontSize}px`,
+                  opacity: watermarkData.opacity,
+                  color: watermarkData.color,
+                  transform: `rotate(${previewRotation}deg)`
+                }}
+              >
+                {Array.from({ length: 60 }, (_, index) => (
+                  <span key={index}>{previewContent}</span>
+                ))}
+              </div>
+            ) : (
+              <div 
+                className="preview-watermark"
+                style={{
+                  fontSize: `${previewFontSize}px`,
+                  opacity: watermarkData.opacity,
+                  color: watermarkData.color,
+                  transform: `rotate(${previewRotation}deg)`,
+                  position: 'absolute',
+                  ...(watermarkData.position === 'center' && { top: '50%', left: '50%', transform: `translate(-50%, -50%) rotate(${previewRotation}deg)` }),
+                  ...(watermarkData.position === 'custom' && { top: `${customTop}%`, left: `${customLeft}%`, transform: `translate(-50%, -50%) rotate(${previewRotation}deg)` }),
+                  ...(watermarkData.position === 'top-left' && { top: insets.top, left: insets.side }),
+                  ...(watermarkData.position === 'top-right' && { top: insets.top, right: insets.side }),
+                  ...(watermarkData.position === 'bottom-left' && { bottom: insets.bottom, left: insets.side }),
+                  ...(watermarkData.position === 'bottom-right' && { bottom: insets.bottom, right: insets.side })
+                }}
+              >
+                {previewContent}
+              </div>
+            )}
           </div>
         </div>
       </div>
@@ -267,7 +810,7 @@ const WatermarkEditor = () => {
         onClick={handleProcessPDF}
         disabled={!selectedFile || isProcessing}
       >
-        {isProcessing ? 'Processing...' : 'Add Watermark'}
+        {isProcessing ? 'Processing...' : (batchMode && watermarkData.type !== 'image' ? 'Create Recipient Copies' : 'Add Watermark')}
       </button>
     </div>
   );
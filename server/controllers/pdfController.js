@@ -1,4 +1,28 @@
 const PDFService = require('../services/pdfService');
+const FontService = require('../services/fontService');
+const { parseRecipients } = require('../utils/recipients');
+
+// Largest recipient list accepted by the batch watermark endpoint
+const MAX_BATCH_RECIPIENTS = 500;
+
+// Code types accepted by the barcode endpoint
+const BARCODE_TYPES = ['qr', 'code128'];
+
+// Placements of codes and rubber stamps: the watermark presets without tiling
+const BOX_POSITIONS = ['center', 'top-left', 'top-right', 'bottom-left', 'bottom-right', 'custom'];
+
+// How rubber stamps are added and the border styles they can have
+const STAMP_MODES = [
+  { value: 'flatten', label: 'Flatten', description: 'Stamp becomes part of the page content' },
+  { value: 'annotation', label: 'Annotation', description: 'Stamp annotation that reviewers can move or delete' }
+];
+const STAMP_BORDER_STYLES = [
+  { value: 'solid', label: 'Solid' },
+  { value: 'double', label: 'Double' },
+  { value: 'dashed', label: 'Dashed' },
+  { value: 'rounded', label: 'Rounded' },
+  { value: 'none', label: 'None' }
+];
 
 /**
  * PDF Controller
@@ -34,6 +58,13 @@ class PDFController {
         });
       }
 
+      if (splitData.splitType === 'size' && splitData.maxFileSize !== undefined && !(parseInt(splitData.maxFileSize) > 0)) {
+        return res.status(400).json({
+          error: 'Invalid maximum file size',
+          details: 'maxFileSize must be a positive number of bytes'
+        });
+      }
+
       // Process the PDF split
       const splitResults = await PDFService.splitPDF(
         req.file.buffer, 
@@ -44,31 +75,30 @@ class PDFController {
         // Single file result - send directly
         const result = splitResults[0];
         res.setHeader('Content-Type', 'application/pdf');
-        res.setHeader('Content-Disposition', `attachment; filename="${result.filename}"`);
+        res.setHeader('Content-Disposition', PDFController.getAttachmentDisposition(result.filename));
         res.setHeader('Content-Length', result.buffer.length);
+        if (splitData.splitType === 'size') {
+          res.setHeader('X-Part-Sizes', result.size);
+        }
         res.send(result.buffer);
       } else {
         // Multiple files - create ZIP archive
-        const archiver = require('archiver');
-        const archive = archiver('zip', {
-          zlib: { level: 9 }
-        });
-
-        // Generate filename with timestamp
         const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-        const zipFilename = `split-documents-${timestamp}.zip`;
-
-        res.setHeader('Content-Type', 'application/zip');
-        res.setHeader('Content-Disposition', `attachment; filename="${zipFilename}"`);
-        
-        archive.pipe(res);
-
-        // Add each PDF to the archive
-        splitResults.forEach(result => {
-          archive.append(result.buffer, { name: result.filename });
-        });
-
-        await archive.finalize();
+        let manifest = null;
+        if (splitData.splitType === 'size') {
+          // Report the saved size of every part, in bytes
+          res.setHeader('X-Part-Sizes', splitResults.map(result => result.size).join(','));
+          manifest = {
+            parts: splitResults.map(result => ({
+              file: result.filename,
+              pageRange: result.pageRange,
+              pageCount: result.pageCount,
+              size: result.size,
+              oversized: result.oversized
+            }))
+          };
+        }
+        await PDFController.sendZipArchive(res, splitResults, `split-documents-${timestamp}.zip`, manifest);
       }
 
     } catch (error) {
@@ -82,6 +112,90 @@ class PDFController {
     }
   }
 
+  /**
+   * Get the first file uploaded in a form field (for routes using upload.fields)
+   * @param {Object} req - Express request object
+   * @param {string} fieldName - Form field name
+   * @returns {Object|null} Multer file object, or null when nothing was uploaded
+   */
+  static getUploadedFile(req, fieldName) {
+    return (req.files && req.files[fieldName] && req.files[fieldName][0]) || null;
+  }
+
+  /**
+   * Collect optional font and image uploads into the assets object passed to PDFService
+   * @param {Object} req - Express request object
+   * @returns {Object} Assets with a font and watermark image ({ name, buffer }) and header/footer images keyed by slot
+   */
+  static getUploadedAssets(req) {
+    const assets = {};
+    const fontFile = PDFController.getUploadedFile(req, 'font');
+    const imageFile = PDFController.getUploadedFile(req, 'image');
+
+    if (fontFile) {
+      assets.font = { name: fontFile.originalname, buffer: fontFile.buffer };
+    }
+    if (imageFile) {
+      assets.image = { name: imageFile.originalname, buffer: imageFile.buffer };
+    }
+
+    // Slot images arrive as e.g. leftHeaderImage and are keyed by slot (leftHeader)
+    Object.keys(req.files || {})
+      .filter(fieldName => /^(left|middle|right)(Header|Footer)Image$/.test(fieldName))
+      .forEach(fieldName => {
+        const imageFile = PDFController.getUploadedFile(req, fieldName);
+        assets.images = assets.images || {};
+        assets.images[fieldName.replace(/Image$/, '')] = {
+          name: imageFile.originalname,
+          buffer: imageFile.buffer
+        };
+      });
+
+    return assets;
+  }
+
+  /**
+   * Stream PDF results to the client as a ZIP archive
+   * @param {Object} res - Express response object
+   * @param {Array} files - Array of { buffer, filename } objects
+   * @param {string} zipFilename - Name of the downloaded archive
+   * @param {Object} manifest - Optional data written to manifest.json inside the archive
+   */
+  static async sendZipArchive(res, files, zipFilename, manifest = null) {
+    const archiver = require('archiver');
+    const archive = archiver('zip', {
+      zlib: { level: 9 }
+    });
+
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="${zipFilename}"`);
+    
+    archive.pipe(res);
+
+    // Add each PDF to the archive
+    files.forEach(file => {
+      archive.append(file.buffer, { name: file.filename });
+    });
+
+    if (manifest) {
+      archive.append(JSON.stringify(manifest, null, 2), { name: 'manifest.json' });
+    }
+
+    await archive.finalize();
+  }
+
+  /**
+   * Build a Content-Disposition header for a download
+   * Names from bookmarks or recipients may not be ASCII, so the UTF-8 name is sent as
+   * filename* with an ASCII fallback for older clients.
+   * @param {string} filename - File name
+   * @returns {string} Header value
+   */
+  static getAttachmentDisposition(filename) {
+    const fallback = filename.replace(/[^\x20-\x7E]/g, '_').replace(/["\\]/g, '_');
+    return `attachment; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(filename)}`;
+  }
+
   /**
    * Process PDF with watermark
    * @param {Object} req - Express request object
@@ -89,8 +203,10 @@ class PDFController {
    */
   static async addWatermark(req, res) {
     try {
+      const pdfFile = PDFController.getUploadedFile(req, 'pdf');
+
       // Validate file upload
-      if (!req.file) {
+      if (!pdfFile) {
         return res.status(400).json({ 
           error: 'No PDF file uploaded',
           details: 'Please select a PDF file to add watermark'
@@ -110,10 +226,25 @@ class PDFController {
         });
       }
 
+      if (watermarkData.type === 'image' && !PDFController.getUploadedFile(req, 'image')) {
+        return res.status(400).json({ 
+          error: 'No watermark image uploaded',
+          details: 'Please select a PNG or JPEG image for an image watermark'
+        });
+      }
+
+      if (watermarkData.type === 'forensic' && !String(watermarkData.forensicId || '').trim()) {
+        return res.status(400).json({ 
+          error: 'No forensic identifier provided',
+          details: 'Please enter the identifier to hide in a forensic watermark'
+        });
+      }
+
       // Process the PDF with watermark
       const processedPdfBytes = await PDFService.addWatermarkToPDF(
-        req.file.buffer, 
-        watermarkData
+        pdfFile.buffer, 
+        watermarkData,
+        PDFController.getUploadedAssets(req)
       );
       
       // Generate filename with timestamp
@@ -139,6 +270,139 @@ class PDFController {
     }
   }
 
+  /**
+   * Create personalized watermarked copies of a PDF, one per recipient, as a ZIP archive
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async addWatermarkBatch(req, res) {
+    try {
+      const pdfFile = PDFController.getUploadedFile(req, 'pdf');
+
+      // Validate file upload
+      if (!pdfFile) {
+        return res.status(400).json({ 
+          error: 'No PDF file uploaded',
+          details: 'Please select a PDF file to add watermarks'
+        });
+      }
+
+      // Validate and parse watermark data
+      let watermarkData;
+      try {
+        watermarkData = JSON.parse(req.body.watermarkData || '{}');
+      } catch (parseError) {
+        return res.status(400).json({ 
+          error: 'Invalid watermark data',
+          details: 'Watermark data must be valid JSON'
+        });
+      }
+
+      if (watermarkData.type === 'image') {
+        return res.status(400).json({ 
+          error: 'Invalid watermark type',
+          details: 'Batch watermarks are personalized, so the type must be text or forensic'
+        });
+      }
+
+      // Recipients come from an uploaded CSV/JSON file or from the recipients form field
+      const recipientsFile = PDFController.getUploadedFile(req, 'recipients');
+      let recipients;
+      try {
+        recipients = recipientsFile
+          ? parseRecipients(
+            recipientsFile.buffer.toString('utf8'),
+            (recipientsFile.originalname.match(/\.(csv|json)$/i) || ['', ''])[1].toLowerCase()
+          )
+          : parseRecipients(req.body.recipients || '');
+      } catch (parseError) {
+        return res.status(400).json({ 
+          error: 'Invalid recipient list',
+          details: parseError.message
+        });
+      }
+
+      if (recipients.length === 0) {
+        return res.status(400).json({ 
+          error: 'No recipients provided',
+          details: 'Please provide a CSV or JSON recipient list with at least one recipient'
+        });
+      }
+
+      if (recipients.length > MAX_BATCH_RECIPIENTS) {
+        return res.status(400).json({ 
+          error: 'Too many recipients',
+          details: `Maximum ${MAX_BATCH_RECIPIENTS} recipients allowed per batch`
+        });
+      }
+
+      const baseName = pdfFile.originalname.replace(/\.pdf$/i, '') || 'document';
+      const results = await PDFService.addWatermarksForRecipients(
+        pdfFile.buffer,
+        { fileName: baseName, ...watermarkData },
+        recipients,
+        PDFController.getUploadedAssets(req)
+      );
+
+      const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+      await PDFController.sendZipArchive(res, results, `watermarked-batch-${timestamp}.zip`, {
+        source: pdfFile.originalname,
+        generatedAt: new Date().toISOString(),
+        template: watermarkData.text || null,
+        files: results.map(result => ({
+          filename: result.filename,
+          recipient: result.recipient,
+          watermark: result.text || undefined,
+          forensicId: result.forensicId || undefined
+        }))
+      });
+
+    } catch (error) {
+      console.error('Error creating batch watermarks:', error);
+      
+      // Send appropriate error response
+      res.status(500).json({ 
+        error: 'Failed to create batch watermarks', 
+        details: error.message 
+      });
+    }
+  }
+
+  /**
+   * Read forensic watermark identifiers back from a PDF
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async detectForensicWatermark(req, res) {
+    try {
+      // Validate file upload
+      if (!req.file) {
+        return res.status(400).json({ 
+          error: 'No PDF file uploaded',
+          details: 'Please select a PDF file to check for forensic watermarks'
+        });
+      }
+
+      const result = await PDFService.detectForensicWatermarks(req.file.buffer);
+
+      res.json({
+        success: true,
+        found: result.identifiers.length > 0,
+        identifiers: result.identifiers,
+        pageCount: result.pageCount
+      });
+
+    } catch (error) {
+      console.error('Error detecting forensic watermark:', error);
+      
+      // Send appropriate error response
+      res.status(500).json({ 
+        error: 'Failed to detect forensic watermark', 
+        details: error.message 
+      });
+    }
+  }
+
   /**
    * Process PDF with headers and footers
    * @param {Object} req - Express request object
@@ -146,8 +410,14 @@ class PDFController {
    */
   static async processPDF(req, res) {
     try {
+      // Collect the main PDF and any additional PDFs (numbered in upload order)
+      const pdfFiles = [
+        ...((req.files && req.files.pdf) || []),
+        ...((req.files && req.files.pdfs) || [])
+      ];
+
       // Validate file upload
-      if (!req.file) {
+      if (pdfFiles.length === 0) {
         return res.status(400).json({ 
           error: 'No PDF file uploaded',
           details: 'Please select a PDF file to process'
@@ -165,15 +435,96 @@ class PDFController {
         });
       }
 
+      // Process the PDFs, continuing Bates numbers across files
+      const results = await PDFService.addHeaderFooterToPDFs(
+        pdfFiles.map(file => ({ buffer: file.buffer, name: file.originalname })),
+        headerFooterData,
+        PDFController.getUploadedAssets(req)
+      );
+      
+      // Generate filename with timestamp
+      const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+
+      if (results.length === 1) {
+        const result = results[0];
+        const filename = `processed-document-${timestamp}.pdf`;
+
+        // Set response headers for file download
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        res.setHeader('Content-Length', result.buffer.length);
+
+        if (headerFooterData.batesNumbering) {
+          res.setHeader('X-Bates-Start', result.batesStart);
+          res.setHeader('X-Bates-End', result.batesEnd);
+        }
+        
+        // Send processed PDF
+        res.send(result.buffer);
+      } else {
+        // Multiple files - ZIP archive with a manifest of the numbering per file
+        const manifest = {
+          batesNumbering: Boolean(headerFooterData.batesNumbering),
+          files: results.map(result => ({
+            file: result.originalName,
+            output: result.filename,
+            pageCount: result.pageCount,
+            ...(headerFooterData.batesNumbering && {
+              batesStart: result.batesStart,
+              batesEnd: result.batesEnd
+            })
+          }))
+        };
+
+        await PDFController.sendZipArchive(res, results, `processed-documents-${timestamp}.zip`, manifest);
+      }
+
+    } catch (error) {
+      console.error('Error processing PDF:', error);
+      
+      // Send appropriate error response
+      res.status(500).json({ 
+        error: 'Failed to process PDF', 
+        details: error.message 
+      });
+    }
+  }
+
+  /**
+   * Add page labels to PDF
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async addPageLabels(req, res) {
+    try {
+      // Validate file upload
+      if (!req.file) {
+        return res.status(400).json({ 
+          error: 'No PDF file uploaded',
+          details: 'Please select a PDF file to add page labels'
+        });
+      }
+
+      // Validate and parse page label data
+      let pageLabelsData;
+      try {
+        pageLabelsData = JSON.parse(req.body.pageLabelsData || '{}');
+      } catch (parseError) {
+        return res.status(400).json({ 
+          error: 'Invalid page label data',
+          details: 'Page label data must be valid JSON'
+        });
+      }
+
       // Process the PDF
-      const processedPdfBytes = await PDFService.addHeaderFooterToPDF(
+      const processedPdfBytes = await PDFService.addPageLabelsToPDF(
         req.file.buffer, 
-        headerFooterData
+        pageLabelsData
       );
       
       // Generate filename with timestamp
       const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-      const filename = `processed-document-${timestamp}.pdf`;
+      const filename = `labeled-document-${timestamp}.pdf`;
 
       // Set response headers for file download
       res.setHeader('Content-Type', 'application/pdf');
@@ -184,11 +535,263 @@ class PDFController {
       res.send(Buffer.from(processedPdfBytes));
 
     } catch (error) {
-      console.error('Error processing PDF:', error);
+      console.error('Error adding page labels to PDF:', error);
       
       // Send appropriate error response
       res.status(500).json({ 
-        error: 'Failed to process PDF', 
+        error: 'Failed to add page labels to PDF', 
+        details: error.message 
+      });
+    }
+  }
+
+  /**
+   * Stamp QR codes and Code 128 barcodes on PDF pages
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async addBarcodes(req, res) {
+    try {
+      // Validate file upload
+      if (!req.file) {
+        return res.status(400).json({ 
+          error: 'No PDF file uploaded',
+          details: 'Please select a PDF file to stamp codes on'
+        });
+      }
+
+      // Validate and parse barcode data
+      let barcodeData;
+      try {
+        barcodeData = JSON.parse(req.body.barcodeData || '{}');
+      } catch (parseError) {
+        return res.status(400).json({ 
+          error: 'Invalid barcode data',
+          details: 'Barcode data must be valid JSON'
+        });
+      }
+
+      const codes = barcodeData.codes;
+      if (!Array.isArray(codes) || codes.length === 0) {
+        return res.status(400).json({ 
+          error: 'No codes provided',
+          details: 'Please add at least one QR code or barcode to stamp'
+        });
+      }
+
+      const invalidCode = codes.find(code => !code || !BARCODE_TYPES.includes(code.type)
+        || !String(code.payload || '').trim()
+        || (code.position && !BOX_POSITIONS.includes(code.position)));
+      if (invalidCode !== undefined) {
+        return res.status(400).json({ 
+          error: 'Invalid code settings',
+          details: `Each code needs a type (${BARCODE_TYPES.join(', ')}), a payload and a position of ${BOX_POSITIONS.join(', ')}`
+        });
+      }
+
+      // Process the PDF
+      const processedPdfBytes = await PDFService.addBarcodesToPDF(req.file.buffer, {
+        fileName: req.file.originalname.replace(/\.pdf$/i, ''),
+        ...barcodeData
+      });
+      
+      // Generate filename with timestamp
+      const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+      const filename = `barcoded-document-${timestamp}.pdf`;
+
+      // Set response headers for file download
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+      res.setHeader('Content-Length', processedPdfBytes.length);
+      
+      // Send processed PDF
+      res.send(Buffer.from(processedPdfBytes));
+
+    } catch (error) {
+      console.error('Error stamping codes on PDF:', error);
+      
+      // Send appropriate error response
+      res.status(500).json({ 
+        error: 'Failed to stamp codes on PDF', 
+        details: error.message 
+      });
+    }
+  }
+
+  /**
+   * Add a rubber stamp such as APPROVED with a reviewer name and date to PDF pages
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async addRubberStamp(req, res) {
+    try {
+      // Validate file upload
+      if (!req.file) {
+        return res.status(400).json({ 
+          error: 'No PDF file uploaded',
+          details: 'Please select a PDF file to stamp'
+        });
+      }
+
+      // Validate and parse stamp data
+      let stampData;
+      try {
+        stampData = JSON.parse(req.body.stampData || '{}');
+      } catch (parseError) {
+        return res.status(400).json({ 
+          error: 'Invalid stamp data',
+          details: 'Stamp data must be valid JSON'
+        });
+      }
+
+      const templates = PDFService.getRubberStampTemplates().map(template => template.value);
+      const { template = 'approved', mode = 'flatten', borderStyle = 'solid', position = 'top-right' } = stampData;
+      if (![...templates, 'custom'].includes(template)) {
+        return res.status(400).json({ 
+          error: 'Invalid stamp template',
+          details: `Template must be one of ${[...templates, 'custom'].join(', ')}`
+        });
+      }
+      if (template === 'custom' && !String(stampData.text || '').trim()) {
+        return res.status(400).json({ 
+          error: 'No stamp text provided',
+          details: 'Please enter the text for a custom stamp'
+        });
+      }
+      if (!STAMP_MODES.some(option => option.value === mode)
+        || !STAMP_BORDER_STYLES.some(option => option.value === borderStyle)
+        || !BOX_POSITIONS.includes(position)) {
+        return res.status(400).json({ 
+          error: 'Invalid stamp settings',
+          details: `Mode must be flatten or annotation, border style one of ${STAMP_BORDER_STYLES.map(option => option.value).join(', ')} and position one of ${BOX_POSITIONS.join(', ')}`
+        });
+      }
+
+      // Process the PDF
+      const processedPdfBytes = await PDFService.addRubberStampToPDF(req.file.buffer, stampData);
+      
+      // Generate filename with timestamp
+      const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+      const filename = `stamped-document-${timestamp}.pdf`;
+
+      // Set response headers for file download
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+      res.setHeader('Content-Length', processedPdfBytes.length);
+      
+      // Send processed PDF
+      res.send(Buffer.from(processedPdfBytes));
+
+    } catch (error) {
+      console.error('Error adding rubber stamp to PDF:', error);
+      
+      // Send appropriate error response
+      res.status(500).json({ 
+        error: 'Failed to add stamp to PDF', 
+        details: error.message 
+      });
+    }
+  }
+
+  /**
+   * Get rubber stamp templates and options
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getStampOptions(req, res) {
+    try {
+      const options = {
+        templates: [
+          ...PDFService.getRubberStampTemplates(),
+          { value: 'custom', text: '', color: '#C62828' }
+        ],
+        modes: STAMP_MODES,
+        borderStyles: STAMP_BORDER_STYLES,
+        positions: BOX_POSITIONS,
+        defaultSettings: {
+          template: 'approved',
+          signer: '',
+          showDate: true,
+          dateFormat: 'YYYY-MM-DD',
+          borderStyle: 'solid',
+          borderWidth: 3,
+          fontSize: 24,
+          opacity: 1,
+          rotation: 0,
+          position: 'top-right',
+          marginX: 36,
+          marginY: 36,
+          applyToPages: '1',
+          mode: 'flatten'
+        },
+        fonts: await FontService.listFonts(),
+        opacityRange: { min: 0.1, max: 1.0 },
+        rotationRange: { min: -90, max: 90 }
+      };
+
+      res.json({
+        success: true,
+        options
+      });
+
+    } catch (error) {
+      console.error('Error fetching stamp options:', error);
+      res.status(500).json({ 
+        error: 'Failed to fetch stamp options', 
+        details: error.message 
+      });
+    }
+  }
+
+  /**
+   * Remove headers, footers, watermarks, barcodes and stamps previously added by this app
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async removeStamps(req, res) {
+    try {
+      // Validate file upload
+      if (!req.file) {
+        return res.status(400).json({ 
+          error: 'No PDF file uploaded',
+          details: 'Please select a PDF file to remove stamps from'
+        });
+      }
+
+      // Validate and parse unstamp data
+      let unstampData;
+      try {
+        unstampData = JSON.parse(req.body.unstampData || '{}');
+      } catch (parseError) {
+        return res.status(400).json({ 
+          error: 'Invalid unstamp data',
+          details: 'Unstamp data must be valid JSON'
+        });
+      }
+
+      // Process the PDF
+      const result = await PDFService.removeStamps(req.file.buffer, unstampData);
+      
+      // Generate filename with timestamp
+      const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+      const filename = `unstamped-document-${timestamp}.pdf`;
+
+      // Set response headers for file download
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+      res.setHeader('Content-Length', result.bytes.length);
+      res.setHeader('X-Stamps-Removed', result.removedContent);
+      res.setHeader('X-Links-Removed', result.removedAnnotations);
+      
+      // Send processed PDF
+      res.send(Buffer.from(result.bytes));
+
+    } catch (error) {
+      console.error('Error removing stamps from PDF:', error);
+      
+      // Send appropriate error response
+      res.status(500).json({ 
+        error: 'Failed to remove stamps from PDF', 
         details: error.message 
       });
     }
@@ -225,7 +828,42 @@ class PDFController {
         { 
           value: 'file', 
           label: '(file)',
-          description: 'Shows document name placeholder'
+          description: 'Shows the uploaded file name (e.g., report.pdf)'
+        },
+        { 
+          value: 'title', 
+          label: '(title)',
+          description: 'Shows the document title from the PDF properties'
+        },
+        { 
+          value: 'author', 
+          label: '(author)',
+          description: 'Shows the document author from the PDF properties'
+        },
+        { 
+          value: 'subject', 
+          label: '(subject)',
+          description: 'Shows the document subject from the PDF properties'
+        },
+        { 
+          value: 'date', 
+          label: '(date)',
+          description: 'Shows the processing date using the chosen date format and time zone'
+        },
+        { 
+          value: 'time', 
+          label: '(time)',
+          description: 'Shows the processing time using the chosen time format and time zone'
+        },
+        { 
+          value: 'sections', 
+          label: '(sections)',
+          description: 'Shows the total number of sections (top-level bookmarks)'
+        },
+        { 
+          value: 'bates', 
+          label: '(bates)',
+          description: 'Shows the Bates number when Bates numbering is enabled (e.g., ACME-000123)'
         }
       ];
 
@@ -257,10 +895,13 @@ class PDFController {
         }
       ];
 
+      const fonts = await FontService.listFonts();
+
       res.json({
         success: true,
         templates,
-        watermarkPositions
+        watermarkPositions,
+        fonts
       });
 
     } catch (error) {
@@ -285,7 +926,13 @@ class PDFController {
           { value: 'top-left', label: 'Top Left', description: 'Watermark appears in the top-left corner' },
           { value: 'top-right', label: 'Top Right', description: 'Watermark appears in the top-right corner' },
           { value: 'bottom-left', label: 'Bottom Left', description: 'Watermark appears in the bottom-left corner' },
-          { value: 'bottom-right', label: 'Bottom Right', description: 'Watermark appears in the bottom-right corner' }
+          { value: 'bottom-right', label: 'Bottom Right', description: 'Watermark appears in the bottom-right corner' },
+          { value: 'tile', label: 'Tile', description: 'Watermark repeats in a rotated grid across the whole page' },
+          { value: 'custom', label: 'Custom', description: 'Watermark is centred on the x/y coordinates' }
+        ],
+        positionUnits: [
+          { value: 'percent', label: '% of page', description: 'x and y are percentages of the page width and height' },
+          { value: 'pt', label: 'Points', description: 'x and y are measured in points (1/72 inch)' }
         ],
         defaultSettings: {
           text: 'CONFIDENTIAL',
@@ -294,9 +941,42 @@ class PDFController {
           color: '#808080',
           rotation: 45,
           position: 'center',
-          startPage: 1
+          x: 50,
+          y: 50,
+          positionUnit: 'percent',
+          marginX: 50,
+          startPage: 1,
+          type: 'text',
+          imageScale: 0.5,
+          tileSpacingX: 100,
+          tileSpacingY: 100,
+          tileStagger: true,
+          optionalContent: false,
+          layerName: 'Watermark',
+          layerView: true,
+          layerPrint: true,
+          layerExport: true,
+          layer: 'foreground',
+          forensicId: ''
+        },
+        types: [
+          { value: 'text', label: 'Text', description: 'Watermark text drawn with the chosen font' },
+          { value: 'image', label: 'Image', description: 'PNG or JPEG image uploaded in the image field' },
+          { value: 'forensic', label: 'Forensic', description: 'Invisible identifier only, read back with the detect endpoint' }
+        ],
+        layers: [
+          { value: 'foreground', label: 'Foreground', description: 'Watermark is drawn over the page content' },
+          { value: 'background', label: 'Background', description: 'Watermark is drawn behind the page content' }
+        ],
+        fonts: await FontService.listFonts(),
+        batch: {
+          defaultTemplate: 'Prepared for {name} <{email}> on {date}',
+          placeholders: ['date', 'time', 'index'],
+          maxRecipients: MAX_BATCH_RECIPIENTS
         },
         fontSizeRange: { min: 12, max: 100 },
+        imageScaleRange: { min: 0.05, max: 1.0 },
+        tileSpacingRange: { min: 0, max: 400 },
         opacityRange: { min: 0.1, max: 1.0 },
         rotationRange: { min: -90, max: 90 }
       };
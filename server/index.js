@@ -58,6 +58,12 @@ app.get('/', (req, res) => {
     endpoints: {
       'process': '/api/pdf/process',
       'watermark': '/api/pdf/watermark',
+      'watermark-batch': '/api/pdf/watermark/batch',
+      'watermark-detect': '/api/pdf/watermark/detect',
+      'page-labels': '/api/pdf/page-labels',
+      'barcodes': '/api/pdf/barcodes',
+      'stamp': '/api/pdf/stamp',
+      'unstamp': '/api/pdf/unstamp',
       'templates': '/api/pdf/templates',
       'watermark-options': '/api/pdf/watermark/options',
       'health': '/api/pdf/health'
@@ -8,12 +8,65 @@ const multer = require('multer');
 // Configure memory storage for file uploads
 const storage = multer.memoryStorage();
 
-// File filter to allow only PDF files
+// Header/footer image uploads, one per slot (e.g. a logo in leftHeaderImage)
+const headerFooterImageFields = [
+  'leftHeaderImage',
+  'middleHeaderImage',
+  'rightHeaderImage',
+  'leftFooterImage',
+  'middleFooterImage',
+  'rightFooterImage'
+];
+
+const imageFileType = {
+  accepts: (file) => ['image/png', 'image/jpeg'].includes(file.mimetype),
+  message: 'Only PNG or JPEG images are allowed'
+};
+
+// Form fields that accept files other than PDFs
+const fieldFileTypes = {
+  font: {
+    // Browsers report inconsistent MIME types for fonts, so check the extension
+    accepts: (file) => /\.(ttf|otf)$/i.test(file.originalname),
+    message: 'Only TTF or OTF font files are allowed'
+  }
+};
+headerFooterImageFields.forEach(fieldName => {
+  fieldFileTypes[fieldName] = imageFileType;
+});
+// Watermark image
+fieldFileTypes.image = imageFileType;
+// Recipient list for batch watermarks
+fieldFileTypes.recipients = {
+  accepts: (file) => /\.(csv|json)$/i.test(file.originalname),
+  message: 'Only CSV or JSON recipient lists are allowed'
+};
+
+/**
+ * Create an upload validation error that handleUploadError reports as a bad request
+ * @param {string} message - Error message
+ * @returns {Error} Error flagged as a file type error
+ */
+const fileTypeError = (message) => {
+  const error = new Error(message);
+  error.isFileTypeError = true;
+  return error;
+};
+
+// File filter to allow only PDF files, except for fields listed in fieldFileTypes
 const fileFilter = (req, file, cb) => {
-  if (file.mimetype === 'application/pdf') {
+  const fieldType = fieldFileTypes[file.fieldname];
+
+  if (fieldType) {
+    if (fieldType.accepts(file)) {
+      cb(null, true);
+    } else {
+      cb(fileTypeError(fieldType.message), false);
+    }
+  } else if (file.mimetype === 'application/pdf') {
     cb(null, true);
   } else {
-    cb(new Error('Only PDF files are allowed'), false);
+    cb(fileTypeError('Only PDF files are allowed'), false);
   }
 };
 
@@ -23,7 +76,7 @@ const upload = multer({
   fileFilter: fileFilter,
   limits: {
     fileSize: 250 * 1024 * 1024, // 250MB limit for large PDFs
-    files: 10, // Maximum 10 files for merge operations
+    files: 20, // Merge accepts 10 PDFs; header/footer uploads add extra PDFs and asset files
     fieldSize: 1024 * 1024 // 1MB for other fields
   }
 });
@@ -42,7 +95,7 @@ const handleUploadError = (error, req, res, next) => {
     if (error.code === 'LIMIT_FILE_COUNT') {
       return res.status(400).json({ 
         error: 'Too many files', 
-        details: 'Maximum 10 files allowed for merge operations' 
+        details: 'Maximum 20 files allowed per upload' 
       });
     }
     if (error.code === 'LIMIT_UNEXPECTED_FILE') {
@@ -57,10 +110,10 @@ const handleUploadError = (error, req, res, next) => {
     });
   }
   
-  if (error.message === 'Only PDF files are allowed') {
+  if (error.isFileTypeError) {
     return res.status(400).json({ 
       error: 'Invalid file type', 
-      details: 'Only PDF files are allowed' 
+      details: error.message 
     });
   }
   
@@ -69,5 +122,6 @@ const handleUploadError = (error, req, res, next) => {
 
 module.exports = {
   upload,
-  handleUploadError
+  handleUploadError,
+  headerFooterImageFields
 };
@@ -1,6 +1,6 @@
 const express = require('express');
 const PDFController = require('../controllers/pdfController');
-const { upload, handleUploadError } = require('../middleware/upload');
+const { upload, handleUploadError, headerFooterImageFields } = require('../middleware/upload');
 
 const router = express.Router();
 
@@ -73,26 +73,120 @@ router.post('/compress/preview',
  * @route   POST /api/pdf/watermark
  * @desc    Add watermark to PDF
  * @access  Public
- * @body    multipart/form-data with PDF file and watermarkData JSON
+ * @body    multipart/form-data with PDF file, optional font file, optional image file and watermarkData JSON
  */
 router.post('/watermark', 
-  upload.single('pdf'), 
+  upload.fields([
+    { name: 'pdf', maxCount: 1 },
+    { name: 'font', maxCount: 1 },
+    { name: 'image', maxCount: 1 }
+  ]), 
   handleUploadError,
   PDFController.addWatermark
 );
 
+/**
+ * @route   POST /api/pdf/watermark/batch
+ * @desc    Create a personalized watermarked copy of a PDF for each recipient, returned as a ZIP
+ * @access  Public
+ * @body    multipart/form-data with PDF file, recipient list as a CSV/JSON file or recipients field,
+ *          optional font file and watermarkData JSON whose text may use {placeholders}
+ */
+router.post('/watermark/batch', 
+  upload.fields([
+    { name: 'pdf', maxCount: 1 },
+    { name: 'recipients', maxCount: 1 },
+    { name: 'font', maxCount: 1 }
+  ]), 
+  handleUploadError,
+  PDFController.addWatermarkBatch
+);
+
+/**
+ * @route   POST /api/pdf/watermark/detect
+ * @desc    Read forensic watermark identifiers back from a PDF
+ * @access  Public
+ * @body    multipart/form-data with PDF file
+ */
+router.post('/watermark/detect', 
+  upload.single('pdf'), 
+  handleUploadError,
+  PDFController.detectForensicWatermark
+);
+
 /**
  * @route   POST /api/pdf/process
  * @desc    Process PDF with headers and footers
  * @access  Public
- * @body    multipart/form-data with PDF file and headerFooterData JSON
+ * @body    multipart/form-data with PDF file, optional additional PDFs (pdfs), optional font file,
+ *          optional slot images (leftHeaderImage ... rightFooterImage) and headerFooterData JSON
  */
 router.post('/process', 
-  upload.single('pdf'), 
+  upload.fields([
+    { name: 'pdf', maxCount: 1 },
+    { name: 'pdfs', maxCount: 9 }, // Additional files for Bates numbering across documents
+    { name: 'font', maxCount: 1 },
+    ...headerFooterImageFields.map(name => ({ name, maxCount: 1 }))
+  ]), 
   handleUploadError,
   PDFController.processPDF
 );
 
+/**
+ * @route   POST /api/pdf/page-labels
+ * @desc    Write PDF page labels so viewers show custom page numbers
+ * @access  Public
+ * @body    multipart/form-data with PDF file and pageLabelsData JSON
+ */
+router.post('/page-labels', 
+  upload.single('pdf'), 
+  handleUploadError,
+  PDFController.addPageLabels
+);
+
+/**
+ * @route   POST /api/pdf/barcodes
+ * @desc    Stamp QR codes and Code 128 barcodes with templated payloads on PDF pages
+ * @access  Public
+ * @body    multipart/form-data with PDF file and barcodeData JSON
+ */
+router.post('/barcodes', 
+  upload.single('pdf'), 
+  handleUploadError,
+  PDFController.addBarcodes
+);
+
+/**
+ * @route   POST /api/pdf/stamp
+ * @desc    Add a rubber stamp (Approved, Rejected, Draft or custom text) as page content or a Stamp annotation
+ * @access  Public
+ * @body    multipart/form-data with PDF file and stampData JSON
+ */
+router.post('/stamp', 
+  upload.single('pdf'), 
+  handleUploadError,
+  PDFController.addRubberStamp
+);
+
+/**
+ * @route   GET /api/pdf/stamp/options
+ * @desc    Get rubber stamp templates and options
+ * @access  Public
+ */
+router.get('/stamp/options', PDFController.getStampOptions);
+
+/**
+ * @route   POST /api/pdf/unstamp
+ * @desc    Remove headers, footers, watermarks, barcodes and stamps previously added by this app
+ * @access  Public
+ * @body    multipart/form-data with PDF file and optional unstampData JSON
+ */
+router.post('/unstamp', 
+  upload.single('pdf'), 
+  handleUploadError,
+  PDFController.removeStamps
+);
+
 /**
  * @route   GET /api/pdf/watermark/options
  * @desc    Get watermark configuration options
@@ -0,0 +1,179 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { StandardFonts } = require('pdf-lib');
+const fontkit = require('@pdf-lib/fontkit');
+
+// Standard PDF fonts usable for text (Symbol and ZapfDingbats are left out)
+const STANDARD_TEXT_FONTS = [
+  StandardFonts.Helvetica,
+  StandardFonts.HelveticaBold,
+  StandardFonts.HelveticaOblique,
+  StandardFonts.HelveticaBoldOblique,
+  StandardFonts.TimesRoman,
+  StandardFonts.TimesRomanBold,
+  StandardFonts.TimesRomanItalic,
+  StandardFonts.TimesRomanBoldItalic,
+  StandardFonts.Courier,
+  StandardFonts.CourierBold,
+  StandardFonts.CourierOblique,
+  StandardFonts.CourierBoldOblique
+];
+
+// Bold and italic variants of each standard font family
+const STANDARD_FONT_FAMILIES = [
+  {
+    regular: StandardFonts.Helvetica,
+    bold: StandardFonts.HelveticaBold,
+    italic: StandardFonts.HelveticaOblique,
+    boldItalic: StandardFonts.HelveticaBoldOblique
+  },
+  {
+    regular: StandardFonts.TimesRoman,
+    bold: StandardFonts.TimesRomanBold,
+    italic: StandardFonts.TimesRomanItalic,
+    boldItalic: StandardFonts.TimesRomanBoldItalic
+  },
+  {
+    regular: StandardFonts.Courier,
+    bold: StandardFonts.CourierBold,
+    italic: StandardFonts.CourierOblique,
+    boldItalic: StandardFonts.CourierBoldOblique
+  }
+];
+
+// File name suffixes used by bundled font families, e.g. NotoSans-BoldItalic.ttf
+const BUNDLED_STYLE_SUFFIXES = {
+  regular: ['Regular', ''],
+  bold: ['Bold'],
+  italic: ['Italic', 'Oblique'],
+  boldItalic: ['BoldItalic', 'BoldOblique']
+};
+
+const FONT_FILE_PATTERN = /\.(ttf|otf)$/i;
+
+/**
+ * Font Service
+ * Resolves font names to standard, bundled or uploaded fonts and embeds them
+ */
+class FontService {
+
+  /**
+   * Get the directory holding bundled TrueType/OpenType fonts
+   * @returns {string} Absolute path of the fonts directory
+   */
+  static getFontsDirectory() {
+    return process.env.FONTS_DIR || path.join(__dirname, '../fonts');
+  }
+
+  /**
+   * List the bundled font files
+   * @returns {Promise<Array>} Array of { name, file } objects, named after the file without extension
+   */
+  static async listBundledFonts() {
+    try {
+      const files = await fs.readdir(this.getFontsDirectory());
+      return files
+        .filter(file => FONT_FILE_PATTERN.test(file))
+        .sort()
+        .map(file => ({
+          name: file.replace(FONT_FILE_PATTERN, ''),
+          file
+        }));
+    } catch (error) {
+      // A missing fonts directory just means there are no bundled fonts
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * List all fonts that can be chosen by name
+   * @returns {Promise<Array>} Array of { value, label, type } objects
+   */
+  static async listFonts() {
+    const bundledFonts = await this.listBundledFonts();
+
+    return [
+      ...STANDARD_TEXT_FONTS.map(name => ({
+        value: name,
+        label: name,
+        type: 'standard'
+      })),
+      ...bundledFonts.map(font => ({
+        value: font.name,
+        label: font.name,
+        type: 'bundled'
+      }))
+    ];
+  }
+
+  /**
+   * Resolve the bold/italic variant of a font
+   * Standard fonts map to their family variants and bundled fonts to files named
+   * like Family-Bold or Family-Italic; without a variant the font itself is returned.
+   * An uploaded font has no variants.
+   * @param {string} fontName - Standard or bundled font name (defaults to Helvetica)
+   * @param {Object} style - Requested style ({ bold, italic })
+   * @param {Object} uploadedFont - Optional { name, buffer } of an uploaded TTF/OTF file
+   * @returns {Promise<string>} Font name to pass to embedFont
+   */
+  static async getStyledFontName(fontName = '', style = {}, uploadedFont = null) {
+    const variant = style.bold
+      ? (style.italic ? 'boldItalic' : 'bold')
+      : (style.italic ? 'italic' : 'regular');
+    const uploadedName = uploadedFont ? uploadedFont.name.replace(FONT_FILE_PATTERN, '') : '';
+
+    if (variant === 'regular' || (uploadedFont && (!fontName || fontName === uploadedName))) {
+      return fontName;
+    }
+
+    const baseName = fontName || StandardFonts.Helvetica;
+    const standardFamily = STANDARD_FONT_FAMILIES.find(family => Object.values(family).includes(baseName));
+    if (standardFamily) {
+      return standardFamily[variant];
+    }
+
+    const family = baseName.replace(/-(Regular|Bold|Italic|Oblique|BoldItalic|BoldOblique)$/, '');
+    const bundledNames = (await this.listBundledFonts()).map(font => font.name);
+    const variantName = BUNDLED_STYLE_SUFFIXES[variant]
+      .map(suffix => (suffix ? `${family}-${suffix}` : family))
+      .find(name => bundledNames.includes(name));
+
+    return variantName || fontName;
+  }
+
+  /**
+   * Embed a font in a PDF document by name
+   * Custom fonts are subset so only the glyphs that are used get embedded.
+   * An uploaded font is used when no name is given or when the name matches its file name.
+   * @param {PDFDocument} pdfDoc - PDF document to embed the font in
+   * @param {string} fontName - Standard or bundled font name (defaults to Helvetica)
+   * @param {Object} uploadedFont - Optional { name, buffer } of an uploaded TTF/OTF file
+   * @returns {Promise<PDFFont>} Embedded font
+   */
+  static async embedFont(pdfDoc, fontName = '', uploadedFont = null) {
+    const uploadedName = uploadedFont ? uploadedFont.name.replace(FONT_FILE_PATTERN, '') : '';
+
+    if (uploadedFont && (!fontName || fontName === uploadedName)) {
+      pdfDoc.registerFontkit(fontkit);
+      return await pdfDoc.embedFont(uploadedFont.buffer, { subset: true });
+    }
+
+    if (!fontName || STANDARD_TEXT_FONTS.includes(fontName)) {
+      return await pdfDoc.embedFont(fontName || StandardFonts.Helvetica);
+    }
+
+    const bundledFont = (await this.listBundledFonts()).find(font => font.name === fontName);
+    if (!bundledFont) {
+      throw new Error(`Unknown font: ${fontName}`);
+    }
+
+    const fontBytes = await fs.readFile(path.join(this.getFontsDirectory(), bundledFont.file));
+    pdfDoc.registerFontkit(fontkit);
+    return await pdfDoc.embedFont(fontBytes, { subset: true });
+  }
+}
+
+module.exports = FontService;
@@ -1,6 +1,93 @@
-const { PDFDocument, rgb, StandardFonts, degrees } = require('pdf-lib');
+const {
+  PDFDocument,
+  PDFName,
+  PDFDict,
+  PDFArray,
+  PDFNumber,
+  PDFRawStream,
+  PDFRef,
+  PDFString,
+  PDFHexString,
+  PDFOperator,
+  PDFOperatorNames,
+  StandardFonts,
+  StandardFontEmbedder,
+  decodePDFRawStream,
+  TextRenderingMode,
+  rgb,
+  degrees,
+  beginMarkedContent,
+  endMarkedContent,
+  beginText,
+  endText,
+  setFontAndSize,
+  setTextMatrix,
+  setTextRenderingMode,
+  showText,
+  pushGraphicsState,
+  popGraphicsState,
+  concatTransformationMatrix,
+  setGraphicsState,
+  drawObject,
+  drawRectangle,
+  drawSvgPath,
+  drawText
+} = require('pdf-lib');
+const crypto = require('crypto');
 const zlib = require('zlib');
 const pako = require('pako');
+const FontService = require('./fontService');
+const {
+  parseContentStream,
+  parseToUnicodeCMap,
+  collectContentBoxes,
+  collectText,
+  removeMarkedContent
+} = require('../utils/contentStream');
+const { encodeCode128, encodeQrCode } = require('../utils/barcode');
+
+// Header and footer slots in drawing order
+const HEADER_FOOTER_SLOTS = [
+  { key: 'leftHeader', band: 'header', align: 'left' },
+  { key: 'middleHeader', band: 'header', align: 'center' },
+  { key: 'rightHeader', band: 'header', align: 'right' },
+  { key: 'leftFooter', band: 'footer', align: 'left' },
+  { key: 'middleFooter', band: 'footer', align: 'center' },
+  { key: 'rightFooter', band: 'footer', align: 'right' }
+];
+
+// Space between a slot image and its text
+const SLOT_IMAGE_GAP = 4;
+
+// Minimum space kept between neighbouring slots on the same line
+const SLOT_COLLISION_GAP = 10;
+
+// Largest grid of tiles considered for a tiled watermark
+const MAX_WATERMARK_TILES = 10000;
+
+// Marked-content tag around everything drawn by this service, so it can be removed again;
+// the tag's Kind property records what was drawn
+const STAMP_TAG = 'PDFDost';
+const STAMP_KINDS = ['watermark', 'header-footer', 'barcode', 'rubber-stamp'];
+
+// Forensic watermarks hide a token with the identifier as invisible text and in each page dictionary
+const FORENSIC_TOKEN_PREFIX = 'PDFDOST-FID';
+const FORENSIC_TOKEN_PATTERN = /PDFDOST-FID-([0-9A-F]+)-([0-9A-F]{8})/g;
+const FORENSIC_PAGE_KEY = 'PDFDostForensicId';
+// Where the invisible token is repeated, as fractions of the page box (left end of the text)
+const FORENSIC_SPOTS = [[0.05, 0.05], [0.55, 0.05], [0.3, 0.5], [0.05, 0.95], [0.55, 0.95]];
+
+// Built-in rubber stamps; name is the standard Stamp annotation icon viewers fall back to
+const RUBBER_STAMP_TEMPLATES = {
+  approved: { text: 'APPROVED', color: '#1E7B34', name: 'Approved' },
+  rejected: { text: 'REJECTED', color: '#C62828', name: 'NotApproved' },
+  draft: { text: 'DRAFT', color: '#1565C0', name: 'Draft' }
+};
+const RUBBER_STAMP_BORDERS = ['solid', 'double', 'dashed', 'rounded', 'none'];
+
+// Link markup in header/footer text: [text](https://...), [text](mailto:...) or [text](#page=N)
+// (URLs may contain balanced parentheses, as in https://en.wikipedia.org/wiki/PDF_(disambiguation))
+const LINK_MARKUP_PATTERN = /\[([^\]]+)\]\(((?:https?:|mailto:)(?:[^()\s]|\([^()\s]*\))+|#page=\d+)\)/g;
 
 /**
  * PDF Processing Service
@@ -22,84 +109,706 @@ class PDFService {
     } : { r: 0, g: 0, b: 0 };
   }
 
+  /**
+   * Parse a numeric option, keeping zero as a valid value
+   * @param {*} value - Raw option value
+   * @param {number} fallback - Value to use when the option is missing or invalid
+   * @returns {number} Parsed number
+   */
+  static toNumber(value, fallback) {
+    const parsed = parseFloat(value);
+    return Number.isFinite(parsed) ? parsed : fallback;
+  }
+
+  /**
+   * Parse a page selection into zero-based page indices
+   * Accepts strings such as '1-3, 5, 8-' or arrays of page numbers and { start, end } ranges
+   * @param {string|Array} spec - Page selection (1-based page numbers)
+   * @param {number} totalPages - Number of pages in the document
+   * @returns {Set<number>} Selected zero-based page indices within the document
+   */
+  static parsePageRanges(spec, totalPages) {
+    const indices = new Set();
+    const addRange = (start, end) => {
+      for (let page = Math.max(1, start); page <= Math.min(totalPages, end); page++) {
+        indices.add(page - 1);
+      }
+    };
+
+    const parts = Array.isArray(spec) ? spec : String(spec || '').split(',');
+    parts.forEach(part => {
+      if (part && typeof part === 'object') {
+        addRange(parseInt(part.start) || 1, parseInt(part.end) || totalPages);
+        return;
+      }
+
+      const token = String(part).trim();
+      if (!token) {
+        return;
+      }
+
+      // '5' is a single page, '2-4' a range, '8-' runs to the last page and '-3' starts at the first
+      const match = /^(\d*)\s*-\s*(\d*)$/.exec(token);
+      if (/^\d+$/.test(token)) {
+        addRange(parseInt(token), parseInt(token));
+      } else if (match && (match[1] || match[2])) {
+        addRange(match[1] ? parseInt(match[1]) : 1, match[2] ? parseInt(match[2]) : totalPages);
+      } else {
+        throw new Error(`Invalid page range: ${token}`);
+      }
+    });
+
+    return indices;
+  }
+
+  /**
+   * Get the visible area of a page
+   * Uses the CropBox when present and falls back to the MediaBox
+   * @param {Object} page - PDF page object
+   * @returns {Object} x, y, width and height of the visible area
+   */
+  static getPageBox(page) {
+    const { x, y, width, height } = page.getCropBox();
+    return { x, y, width, height };
+  }
+
+  /**
+   * Describe a page as it is displayed, taking /Rotate into account
+   * @param {Object} page - PDF page object
+   * @returns {Object} Page box, rotation and the displayed width and height
+   */
+  static getPageLayout(page) {
+    const box = this.getPageBox(page);
+    // /Rotate must be a multiple of 90; normalize it to 0, 90, 180 or 270
+    const rotation = ((Math.round(page.getRotation().angle / 90) * 90) % 360 + 360) % 360;
+    const quarterTurn = rotation === 90 || rotation === 270;
+
+    return {
+      box,
+      rotation,
+      width: quarterTurn ? box.height : box.width,
+      height: quarterTurn ? box.width : box.height
+    };
+  }
+
+  /**
+   * Convert a point on the displayed page into PDF user space
+   * @param {Object} layout - Page layout from getPageLayout
+   * @param {number} x - X position measured from the displayed bottom-left corner
+   * @param {number} y - Y position measured from the displayed bottom-left corner
+   * @returns {Object} X and Y coordinates in user space
+   */
+  static toPageCoordinates(layout, x, y) {
+    const { box, rotation } = layout;
+
+    switch (rotation) {
+      case 90:
+        return { x: box.x + box.width - y, y: box.y + x };
+      case 180:
+        return { x: box.x + box.width - x, y: box.y + box.height - y };
+      case 270:
+        return { x: box.x + y, y: box.y + box.height - x };
+      default:
+        return { x: box.x + x, y: box.y + y };
+    }
+  }
+
+  /**
+   * Convert a point in PDF user space to the displayed page (inverse of toPageCoordinates)
+   * @param {Object} layout - Page layout from getPageLayout
+   * @param {number} x - X coordinate in user space
+   * @param {number} y - Y coordinate in user space
+   * @returns {Object} X and Y measured from the displayed bottom-left corner
+   */
+  static fromPageCoordinates(layout, x, y) {
+    const { box, rotation } = layout;
+
+    switch (rotation) {
+      case 90:
+        return { x: y - box.y, y: box.x + box.width - x };
+      case 180:
+        return { x: box.x + box.width - x, y: box.y + box.height - y };
+      case 270:
+        return { x: box.y + box.height - y, y: x - box.x };
+      default:
+        return { x: x - box.x, y: y - box.y };
+    }
+  }
+
   /**
    * Process template variables in text
    * @param {string} text - Text containing template variables
    * @param {number} pageNum - Current page number
    * @param {number} totalPages - Total number of pages
+   * @param {Object} context - Document-level values (fileName, title, author, subject, date, time, sections, bates)
    * @returns {string} Processed text with variables replaced
    */
-  static processTemplate(text, pageNum, totalPages) {
+  static processTemplate(text, pageNum, totalPages, context = {}) {
+    const {
+      fileName = 'Document',
+      title = '',
+      author = '',
+      subject = '',
+      date = '',
+      time = '',
+      sections = 1,
+      bates = ''
+    } = context;
+
+    // Replacer functions keep '$' in file names and metadata from being read as patterns
     return text
       .replace(/Page \(x\) of \(y\)/g, `Page ${pageNum} of ${totalPages}`)
       .replace(/\(x\) of \(y\)/g, `${pageNum} of ${totalPages}`)
       .replace(/Page \(x\)/g, `Page ${pageNum}`)
       .replace(/\(x\)/g, pageNum.toString())
-      .replace(/\(file\)/g, 'Document');
+      .replace(/\(y\)/g, totalPages.toString())
+      .replace(/\(file\)/g, () => fileName)
+      .replace(/\(title\)/g, () => title)
+      .replace(/\(author\)/g, () => author)
+      .replace(/\(subject\)/g, () => subject)
+      .replace(/\(date\)/g, () => date)
+      .replace(/\(time\)/g, () => time)
+      .replace(/\(sections\)/g, sections.toString())
+      .replace(/\(bates\)/g, () => bates);
+  }
+
+  /**
+   * Format a date using simple tokens
+   * Supported tokens: YYYY, YY, MMM, MM, DD, HH, hh, mm, ss, A. A (AM/PM) only counts when it is
+   * not part of a word (it may directly follow another token). Text in square brackets is copied
+   * as is, e.g. 'DD MMM [at] hh:mm A'.
+   * @param {Date} date - Date to format
+   * @param {string} format - Format string (e.g., 'DD/MM/YYYY' or 'HH:mm')
+   * @param {string} timeZone - IANA time zone (e.g., 'Asia/Kolkata'), server time zone when empty
+   * @returns {string} Formatted date
+   */
+  static formatDateTime(date, format, timeZone = '') {
+    let formatter;
+    try {
+      formatter = new Intl.DateTimeFormat('en-US', {
+        timeZone: timeZone || undefined,
+        year: 'numeric',
+        month: 'short',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+        hourCycle: 'h23'
+      });
+    } catch (error) {
+      throw new Error(`Invalid time zone: ${timeZone}`);
+    }
+
+    const parts = {};
+    formatter.formatToParts(date).forEach(part => {
+      parts[part.type] = part.value;
+    });
+
+    // Month number is not part of the short month output, so derive it from the name
+    const monthIndex = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'].indexOf(parts.month) + 1;
+    const hour = parseInt(parts.hour) % 24;
+    const pad = (value) => value.toString().padStart(2, '0');
+
+    const tokens = {
+      YYYY: parts.year,
+      YY: parts.year.slice(-2),
+      MMM: parts.month,
+      MM: pad(monthIndex),
+      DD: parts.day,
+      HH: pad(hour),
+      hh: pad(hour % 12 || 12),
+      mm: parts.minute,
+      ss: parts.second,
+      A: hour < 12 ? 'AM' : 'PM'
+    };
+
+    return format.replace(
+      /\[([^\]]*)\]|YYYY|YY|MMM|MM|DD|HH|hh|mm|ss|(?:(?<![A-Za-z])|(?<=YY|MMM|MM|DD|HH|hh|mm|ss))A(?![A-Za-z])/g,
+      (token, literal) => literal !== undefined ? literal : tokens[token]
+    );
+  }
+
+  /**
+   * Count the top-level bookmarks of a document
+   * A document without an outline counts as a single section
+   * @param {PDFDocument} pdfDoc - Loaded PDF document
+   * @returns {number} Number of sections
+   */
+  static getSectionCount(pdfDoc) {
+    return this.getOutlineEntries(pdfDoc, 1).length || 1;
+  }
+
+  /**
+   * Read the bookmarks (outline items) of a document in reading order
+   * @param {PDFDocument} pdfDoc - Loaded PDF document
+   * @param {number} maxDepth - Deepest outline level to read (1 for top-level bookmarks only)
+   * @returns {Array} Array of { title, depth, pageIndex } objects; pageIndex is -1 when the
+   *   bookmark does not point to a page of this document
+   */
+  static getOutlineEntries(pdfDoc, maxDepth = Infinity) {
+    const outlines = pdfDoc.catalog.lookupMaybe(PDFName.of('Outlines'), PDFDict);
+    if (!outlines) {
+      return [];
+    }
+
+    const pageIndices = new Map(pdfDoc.getPages().map((page, index) => [page.ref, index]));
+    let namedDestinations = null;
+    const entries = [];
+    const visited = new Set();
+
+    const readLevel = (first, depth) => {
+      // Guard against circular /Next or /First links in damaged outlines
+      for (let item = first; item && !visited.has(item); item = item.lookupMaybe(PDFName.of('Next'), PDFDict)) {
+        visited.add(item);
+
+        const title = item.lookup(PDFName.of('Title'));
+        let destination = item.lookup(PDFName.of('Dest'));
+        const action = item.lookupMaybe(PDFName.of('A'), PDFDict);
+        if (!destination && action && action.get(PDFName.of('S')) === PDFName.of('GoTo')) {
+          destination = action.lookup(PDFName.of('D'));
+        }
+        // Named destinations are only collected when a bookmark uses one
+        if (destination && !(destination instanceof PDFArray) && !namedDestinations) {
+          namedDestinations = this.getNamedDestinations(pdfDoc);
+        }
+
+        entries.push({
+          title: title instanceof PDFString || title instanceof PDFHexString ? title.decodeText().trim() : '',
+          depth,
+          pageIndex: this.resolveDestinationPage(pdfDoc, destination, namedDestinations, pageIndices)
+        });
+
+        if (depth < maxDepth) {
+          readLevel(item.lookupMaybe(PDFName.of('First'), PDFDict), depth + 1);
+        }
+      }
+    };
+
+    readLevel(outlines.lookupMaybe(PDFName.of('First'), PDFDict), 1);
+    return entries;
+  }
+
+  /**
+   * Collect the named destinations of a document
+   * Names come from the catalog's /Dests dictionary (PDF 1.1) and the /Names /Dests name tree.
+   * @param {PDFDocument} pdfDoc - Loaded PDF document
+   * @returns {Map<string, Object>} Destinations keyed by name
+   */
+  static getNamedDestinations(pdfDoc) {
+    const destinations = new Map();
+
+    const dests = pdfDoc.catalog.lookupMaybe(PDFName.of('Dests'), PDFDict);
+    if (dests) {
+      dests.entries().forEach(([name, value]) => {
+        destinations.set(name.decodeText(), pdfDoc.context.lookup(value));
+      });
+    }
+
+    const names = pdfDoc.catalog.lookupMaybe(PDFName.of('Names'), PDFDict);
+    const visited = new Set();
+    const readNode = (node) => {
+      if (!node || visited.has(node)) {
+        return;
+      }
+      visited.add(node);
+
+      const pairs = node.lookupMaybe(PDFName.of('Names'), PDFArray);
+      for (let i = 0; pairs && i + 1 < pairs.size(); i += 2) {
+        const key = pairs.lookup(i);
+        if (key instanceof PDFString || key instanceof PDFHexString) {
+          destinations.set(key.decodeText(), pairs.lookup(i + 1));
+        }
+      }
+
+      const kids = node.lookupMaybe(PDFName.of('Kids'), PDFArray);
+      for (let i = 0; kids && i < kids.size(); i++) {
+        readNode(kids.lookupMaybe(i, PDFDict));
+      }
+    };
+    readNode(names ? names.lookupMaybe(PDFName.of('Dests'), PDFDict) : undefined);
+
+    return destinations;
+  }
+
+  /**
+   * Find the page a destination points to
+   * @param {PDFDocument} pdfDoc - Loaded PDF document
+   * @param {Object} destination - Explicit destination array, destination name or { D } dictionary
+   * @param {Map<string, Object>} namedDestinations - Destinations from getNamedDestinations
+   * @param {Map<PDFRef, number>} pageIndices - Page indices keyed by page reference
+   * @returns {number} Zero-based page index, or -1 when the destination cannot be resolved
+   */
+  static resolveDestinationPage(pdfDoc, destination, namedDestinations, pageIndices) {
+    let target = destination;
+
+    if (target instanceof PDFName || target instanceof PDFString || target instanceof PDFHexString) {
+      target = namedDestinations ? namedDestinations.get(target.decodeText()) : undefined;
+    }
+    if (target instanceof PDFDict) {
+      target = target.lookup(PDFName.of('D'));
+    }
+    if (!(target instanceof PDFArray) || target.size() === 0) {
+      return -1;
+    }
+
+    const page = target.get(0);
+    if (page instanceof PDFRef) {
+      return pageIndices.has(page) ? pageIndices.get(page) : -1;
+    }
+    // Some writers store a page number instead of a page reference
+    if (page instanceof PDFNumber && page.asNumber() >= 0 && page.asNumber() < pageIndices.size) {
+      return page.asNumber();
+    }
+    return -1;
   }
 
   /**
    * Add text to specific position on page
+   * When a layout is given, x and y are measured on the displayed page
+   * and the text is turned to read upright on rotated pages
    * @param {Object} page - PDF page object
    * @param {string} text - Text to add
    * @param {Object} options - Positioning and styling options
    */
   static addTextToPage(page, text, options) {
-    const { x, y, size, font, color } = options;
-    page.drawText(text, { x, y, size, font, color });
+    const { x, y, size, font, color, layout } = options;
+    const position = layout ? this.toPageCoordinates(layout, x, y) : { x, y };
+
+    page.drawText(text, {
+      ...position,
+      size,
+      font,
+      color,
+      rotate: degrees(layout ? layout.rotation : 0)
+    });
+  }
+
+  /**
+   * Embed a PNG or JPEG image, detecting the format from the file signature
+   * @param {PDFDocument} pdfDoc - PDF document to embed the image in
+   * @param {Object} image - Uploaded image ({ name, buffer })
+   * @returns {Promise<PDFImage>} Embedded image
+   */
+  static async embedImage(pdfDoc, image) {
+    const bytes = image.buffer;
+
+    if (bytes[0] === 0x89 && bytes[1] === 0x50 && bytes[2] === 0x4e && bytes[3] === 0x47) {
+      return await pdfDoc.embedPng(bytes);
+    }
+    if (bytes[0] === 0xff && bytes[1] === 0xd8) {
+      return await pdfDoc.embedJpg(bytes);
+    }
+
+    throw new Error(`Unsupported image format: ${image.name}`);
+  }
+
+  /**
+   * Add image to a specific page
+   * When a layout is given, x and y are measured on the displayed page
+   * and the image is turned to stand upright on rotated pages
+   * @param {Object} page - PDF page object
+   * @param {PDFImage} image - Embedded image
+   * @param {Object} options - Position (bottom-left corner), size and layout
+   */
+  static addImageToPage(page, image, options) {
+    const { x, y, width, height, layout } = options;
+    const position = layout ? this.toPageCoordinates(layout, x, y) : { x, y };
+
+    page.drawImage(image, {
+      ...position,
+      width,
+      height,
+      rotate: degrees(layout ? layout.rotation : 0)
+    });
   }
 
   /**
-   * Add white background rectangle to page
+   * Add white background rectangle across the displayed page width
    * @param {Object} page - PDF page object
-   * @param {number} y - Y position
-   * @param {number} width - Page width
+   * @param {Object} layout - Page layout from getPageLayout
+   * @param {number} y - Y position on the displayed page
    * @param {number} height - Rectangle height
+   * @param {Object} color - Fill color (defaults to white)
+   */
+  static addWhiteBackground(page, layout, y, height = 20, color = rgb(1, 1, 1)) {
+    this.addMaskToPage(page, layout, { x: 0, y: y - 5, width: layout.width, height }, color);
+  }
+
+  /**
+   * Cover a rectangle of the displayed page with a solid fill
+   * @param {Object} page - PDF page object
+   * @param {Object} layout - Page layout from getPageLayout
+   * @param {Object} area - x, y, width and height on the displayed page
+   * @param {Object} color - Fill color
    */
-  static addWhiteBackground(page, y, width, height = 20) {
+  static addMaskToPage(page, layout, area, color) {
+    const origin = this.toPageCoordinates(layout, area.x, area.y);
+
     page.drawRectangle({
-      x: 0,
-      y: y - 5,
-      width: width,
-      height: height,
-      color: rgb(1, 1, 1),
+      ...origin,
+      width: area.width,
+      height: area.height,
+      color,
+      rotate: degrees(layout.rotation)
     });
   }
 
   /**
-   * Calculate text position for center alignment
-   * @param {Object} font - PDF font object
-   * @param {string} text - Text to center
-   * @param {number} fontSize - Font size
-   * @param {number} pageWidth - Page width
-   * @returns {number} X position for center alignment
+   * Create a resource reader for collectContentBoxes and collectText from a resource dictionary
+   * Fonts report their glyph widths (simple fonts from /Widths, Type0 fonts from /W) and decode
+   * their strings through /ToUnicode; form XObjects are decoded so their content can be read too.
+   * @param {Object} resources - PDF resource dictionary (may be undefined)
+   * @returns {Object} Reader with getFont(name) and getXObject(name)
    */
-  static getCenterPosition(font, text, fontSize, pageWidth) {
-    const textWidth = font.widthOfTextAtSize(text, fontSize);
-    return (pageWidth - textWidth) / 2;
+  static createContentResources(resources) {
+    const fonts = resources && resources.lookupMaybe(PDFName.of('Font'), PDFDict);
+    const xObjects = resources && resources.lookupMaybe(PDFName.of('XObject'), PDFDict);
+    const fontCache = new Map();
+
+    const numberAt = (array, index) => {
+      const value = array.lookup(index);
+      return value instanceof PDFNumber ? value.asNumber() : 0;
+    };
+
+    // Text of a string: mapped through /ToUnicode when present, otherwise Latin-1 for simple fonts
+    const createDecoder = (fontDict, bytesPerCode) => {
+      const toUnicode = fontDict.lookup(PDFName.of('ToUnicode'));
+      const unicodeMap = toUnicode instanceof PDFRawStream
+        ? parseToUnicodeCMap(decodePDFRawStream(toUnicode).decode())
+        : null;
+
+      return (bytes) => {
+        if (!unicodeMap) {
+          return bytesPerCode === 1 ? bytes.toString('latin1') : '';
+        }
+        let text = '';
+        for (let i = 0; i + bytesPerCode <= bytes.length; i += bytesPerCode) {
+          const code = bytesPerCode === 2 ? (bytes[i] << 8) | bytes[i + 1] : bytes[i];
+          if (unicodeMap.has(code)) {
+            text += unicodeMap.get(code);
+          } else if (bytesPerCode === 1) {
+            text += String.fromCharCode(code);
+          }
+        }
+        return text;
+      };
+    };
+
+    const readFont = (fontDict) => {
+      const subtype = fontDict.lookupMaybe(PDFName.of('Subtype'), PDFName);
+
+      if (subtype === PDFName.of('Type0')) {
+        const descendants = fontDict.lookupMaybe(PDFName.of('DescendantFonts'), PDFArray);
+        const cidFont = descendants && descendants.lookupMaybe(0, PDFDict);
+        const defaultWidth = cidFont && cidFont.lookupMaybe(PDFName.of('DW'), PDFNumber);
+        const widthArray = cidFont && cidFont.lookupMaybe(PDFName.of('W'), PDFArray);
+        const widths = new Map();
+
+        // /W entries are either "first [w1 w2 ...]" or "first last w"
+        for (let i = 0; widthArray && i < widthArray.size();) {
+          const first = numberAt(widthArray, i);
+          const next = widthArray.lookup(i + 1);
+          if (next instanceof PDFArray) {
+            for (let j = 0; j < next.size(); j++) {
+              widths.set(first + j, numberAt(next, j));
+            }
+            i += 2;
+          } else {
+            const last = numberAt(widthArray, i + 1);
+            const width = numberAt(widthArray, i + 2);
+            for (let code = first; code <= last; code++) {
+              widths.set(code, width);
+            }
+            i += 3;
+          }
+        }
+
+        const fallback = defaultWidth ? defaultWidth.asNumber() : 1000;
+        return {
+          bytesPerCode: 2,
+          getWidth: (code) => (widths.has(code) ? widths.get(code) : fallback),
+          decode: createDecoder(fontDict, 2)
+        };
+      }
+
+      const firstChar = fontDict.lookupMaybe(PDFName.of('FirstChar'), PDFNumber);
+      const widthArray = fontDict.lookupMaybe(PDFName.of('Widths'), PDFArray);
+      const descriptor = fontDict.lookupMaybe(PDFName.of('FontDescriptor'), PDFDict);
+      const missingWidth = descriptor && descriptor.lookupMaybe(PDFName.of('MissingWidth'), PDFNumber);
+      const baseFont = fontDict.lookupMaybe(PDFName.of('BaseFont'), PDFName);
+      const first = firstChar ? firstChar.asNumber() : 0;
+
+      // Standard fonts usually come without /Widths, so use their built-in metrics
+      const standardFontName = baseFont && baseFont.decodeText();
+      const standardFont = Object.values(StandardFonts).includes(standardFontName)
+        ? StandardFontEmbedder.for(standardFontName)
+        : null;
+      const fallbackWidth = (code) => {
+        if (standardFont) {
+          try {
+            return standardFont.widthOfTextAtSize(String.fromCharCode(code), 1000);
+          } catch (error) {
+            // Character outside the font's encoding
+          }
+        }
+        return missingWidth ? missingWidth.asNumber() : 500;
+      };
+
+      return {
+        bytesPerCode: 1,
+        getWidth: (code) => {
+          const index = code - first;
+          return widthArray && index >= 0 && index < widthArray.size()
+            ? numberAt(widthArray, index) || fallbackWidth(code)
+            : fallbackWidth(code);
+        },
+        decode: createDecoder(fontDict, 1)
+      };
+    };
+
+    return {
+      getFont: (name) => {
+        if (!fontCache.has(name)) {
+          const fontDict = fonts && fonts.lookupMaybe(PDFName.of(name), PDFDict);
+          fontCache.set(name, fontDict ? readFont(fontDict) : null);
+        }
+        return fontCache.get(name);
+      },
+      getXObject: (name) => {
+        const stream = xObjects && xObjects.lookup(PDFName.of(name));
+        if (!(stream instanceof PDFRawStream)) {
+          return null;
+        }
+
+        const subtype = stream.dict.lookupMaybe(PDFName.of('Subtype'), PDFName);
+        if (subtype === PDFName.of('Image')) {
+          return { subtype: 'Image' };
+        }
+        if (subtype !== PDFName.of('Form')) {
+          return null;
+        }
+
+        const matrix = stream.dict.lookupMaybe(PDFName.of('Matrix'), PDFArray);
+        const formResources = stream.dict.lookupMaybe(PDFName.of('Resources'), PDFDict);
+        return {
+          subtype: 'Form',
+          matrix: matrix ? [0, 1, 2, 3, 4, 5].map(index => numberAt(matrix, index)) : undefined,
+          operations: parseContentStream(decodePDFRawStream(stream).decode()),
+          // Forms without their own resources use the resources of the page
+          resources: formResources ? this.createContentResources(formResources) : this.createContentResources(resources)
+        };
+      }
+    };
+  }
+
+  /**
+   * Parse the content of a page into operations
+   * @param {Object} page - PDF page object
+   * @returns {Array<Object>} Operations from parseContentStream
+   */
+  static getPageOperations(page) {
+    const contents = page.node.Contents();
+    if (!contents) {
+      return [];
+    }
+
+    const streams = contents instanceof PDFArray
+      ? contents.asArray().map(ref => page.doc.context.lookup(ref))
+      : [contents];
+    // Content streams split across an array are joined as if they were one stream
+    const bytes = Buffer.concat(streams
+      .filter(stream => stream instanceof PDFRawStream)
+      .map(stream => Buffer.concat([Buffer.from(decodePDFRawStream(stream).decode()), Buffer.from('\n')])));
+
+    return parseContentStream(bytes);
+  }
+
+  /**
+   * Find where the existing text and graphics of a page are drawn
+   * @param {Object} page - PDF page object
+   * @returns {Array<Object>} Boxes { x1, y1, x2, y2, type } in PDF user space
+   */
+  static getPageContentBoxes(page) {
+    return collectContentBoxes(this.getPageOperations(page), this.createContentResources(page.node.Resources()));
+  }
+
+  /**
+   * Find the existing content that lies entirely within the header and footer bands of a page
+   * @param {Object} page - PDF page object
+   * @param {Object} layout - Page layout from getPageLayout
+   * @param {Object} bands - Band heights { header, footer } measured from the displayed top and bottom edges
+   * @returns {Array<Object>} Areas { x, y, width, height } on the displayed page
+   */
+  static findHeaderFooterContent(page, layout, bands) {
+    return this.getPageContentBoxes(page)
+      .map(box => {
+        const corner1 = this.fromPageCoordinates(layout, box.x1, box.y1);
+        const corner2 = this.fromPageCoordinates(layout, box.x2, box.y2);
+        return {
+          x1: Math.min(corner1.x, corner2.x),
+          y1: Math.min(corner1.y, corner2.y),
+          x2: Math.max(corner1.x, corner2.x),
+          y2: Math.max(corner1.y, corner2.y)
+        };
+      })
+      // Skip anything reaching into the body, such as page borders or full-page backgrounds
+      .filter(box => box.y1 >= layout.height - bands.header || box.y2 <= bands.footer)
+      .map(box => ({ x: box.x1, y: box.y1, width: box.x2 - box.x1, height: box.y2 - box.y1 }));
+  }
+
+  /**
+   * Draw a horizontal rule across the displayed page
+   * @param {Object} page - PDF page object
+   * @param {Object} layout - Page layout from getPageLayout
+   * @param {number} startX - Start X position on the displayed page
+   * @param {number} endX - End X position on the displayed page
+   * @param {number} y - Y position on the displayed page
+   * @param {Object} options - Line thickness and color
+   */
+  static addRuleToPage(page, layout, startX, endX, y, options) {
+    page.drawLine({
+      start: this.toPageCoordinates(layout, startX, y),
+      end: this.toPageCoordinates(layout, endX, y),
+      thickness: options.thickness,
+      color: options.color
+    });
   }
 
   /**
-   * Calculate text position for right alignment
+   * Break text into lines that fit a width, wrapping at spaces
+   * A single word wider than the limit is kept on its own line.
+   * @param {string} text - Text to wrap
    * @param {Object} font - PDF font object
-   * @param {string} text - Text to align right
    * @param {number} fontSize - Font size
-   * @param {number} pageWidth - Page width
-   * @param {number} margin - Right margin
-   * @returns {number} X position for right alignment
+   * @param {number} maxWidth - Maximum line width
+   * @returns {Array<string>} Wrapped lines
    */
-  static getRightPosition(font, text, fontSize, pageWidth, margin = 50) {
-    const textWidth = font.widthOfTextAtSize(text, fontSize);
-    return pageWidth - textWidth - margin;
+  static wrapText(text, font, fontSize, maxWidth) {
+    const lines = [];
+    let currentLine = '';
+
+    text.split(' ').forEach(word => {
+      const candidate = currentLine ? `${currentLine} ${word}` : word;
+      if (currentLine && font.widthOfTextAtSize(candidate, fontSize) > maxWidth) {
+        lines.push(currentLine);
+        currentLine = word;
+      } else {
+        currentLine = candidate;
+      }
+    });
+    lines.push(currentLine);
+
+    return lines;
   }
 
   /**
    * Add watermark to PDF
    * @param {Buffer} pdfBuffer - PDF file buffer
    * @param {Object} watermarkData - Watermark configuration
+   * @param {Object} assets - Optional uploaded files: font and image ({ name, buffer })
    * @returns {Promise<Uint8Array>} Processed PDF bytes
    */
-  static async addWatermarkToPDF(pdfBuffer, watermarkData) {
+  static async addWatermarkToPDF(pdfBuffer, watermarkData, assets = {}) {
     try {
       // Load PDF document
       const pdfDoc = await PDFDocument.load(pdfBuffer);
@@ -112,19 +821,66 @@ class PDFService {
         opacity = 0.3,
         color = '#808080',
         rotation = 45,
-        position = 'center', // center, top-left, top-right, bottom-left, bottom-right
+        position = 'center', // center, top-left, top-right, bottom-left, bottom-right, tile or custom
+        x: customX = 50, // watermark centre from the left edge (position 'custom')
+        y: customY = 50, // watermark centre from the top edge
+        positionUnit = 'percent', // unit of x and y: percent of the page size or pt
+        marginX, // inset from the side edges for corner positions
+        marginY, // inset from the top/bottom edges for corner positions
         startPage = 1,
-        endPage = 0 // 0 means all pages
+        endPage = 0, // 0 means all pages
+        fontName = '',
+        type = 'text', // text or image
+        imageScale = 0.5, // image width as a fraction of the page width
+        tileSpacingX = 100, // gap between tiles along a row (position 'tile')
+        tileSpacingY = 100, // gap between rows
+        tileStagger = true, // shift every other row by half a tile
+        optionalContent = false, // place the watermark in a layer viewers can toggle
+        layerName = 'Watermark',
+        layerView = true, // layer shown on screen
+        layerPrint = true, // layer printed
+        layerExport = true, // layer kept when exporting
+        layer = 'foreground', // 'background' draws the watermark behind the page content
+        forensicId = '' // identifier hidden invisibly on every page (type 'forensic' draws nothing visible)
       } = watermarkData;
 
       // Convert color and validate parameters
       const watermarkColor = this.hexToRgb(color);
       const watermarkOpacity = Math.max(0, Math.min(1, parseFloat(opacity)));
       const watermarkSize = parseInt(fontSize) || 48;
-      const watermarkRotation = parseInt(rotation) || 45;
+      const watermarkRotation = this.toNumber(rotation, 45);
+      const watermarkScale = Math.max(0.01, Math.min(1, this.toNumber(imageScale, 0.5)));
+
+      // Embed the watermark image (PNG transparency is kept) or the font for text
+      let image = null;
+      let font = null;
+      if (type === 'image') {
+        if (!assets.image) {
+          throw new Error('Watermark image is required');
+        }
+        image = await this.embedImage(pdfDoc, assets.image);
+      } else if (type !== 'forensic') {
+        font = await FontService.embedFont(pdfDoc, fontName, assets.font);
+      }
+
+      if (type === 'forensic' && !forensicId) {
+        throw new Error('Forensic identifier is required');
+      }
+      const forensicToken = forensicId ? this.createForensicToken(forensicId) : null;
+      const forensicFont = forensicToken ? await pdfDoc.embedFont(StandardFonts.Helvetica) : null;
       
-      // Embed font for watermark
-      const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+      // One layer holds the watermark on every page
+      const layerRef = optionalContent
+        ? this.addOptionalContentGroup(pdfDoc, layerName || 'Watermark', {
+          view: layerView,
+          print: layerPrint,
+          export: layerExport
+        })
+        : null;
+      if (layerRef) {
+        // Mark the layer as ours so removeStamps can delete it with the watermark
+        pdfDoc.context.lookup(layerRef, PDFDict).set(PDFName.of(STAMP_TAG), PDFName.of('watermark'));
+      }
       
       // Calculate page range - handle endPage = 0 as "all pages"
       const startPageIndex = Math.max(0, parseInt(startPage) - 1);
@@ -134,28 +890,104 @@ class PDFService {
       // Process each page in the specified range
       for (let i = startPageIndex; i <= endPageIndex; i++) {
         const page = pages[i];
-        const { width, height } = page.getSize();
-        
-        // Calculate watermark position
-        const { x, y } = this.calculateWatermarkPosition(
-          position, 
-          width, 
-          height, 
-          text, 
-          font, 
-          watermarkSize
-        );
 
-        // Add watermark text with rotation and opacity
-        page.drawText(text, {
-          x,
-          y,
-          size: watermarkSize,
-          font,
-          color: rgb(watermarkColor.r, watermarkColor.g, watermarkColor.b),
-          opacity: watermarkOpacity,
-          rotate: degrees(watermarkRotation) // Use degrees() function from pdf-lib
-        });
+        // The forensic mark is left untagged so removing the visible stamps keeps it
+        if (forensicToken) {
+          this.addForensicMark(page, forensicFont, forensicToken);
+        }
+        if (type === 'forensic') {
+          continue;
+        }
+
+        // Position on the page as displayed so rotated pages get an upright watermark
+        const layout = this.getPageLayout(page);
+
+        // Images are scaled to the page width; text is measured up to its cap height
+        const itemWidth = image ? layout.width * watermarkScale : font.widthOfTextAtSize(text, watermarkSize);
+        const itemHeight = image
+          ? itemWidth * image.height / image.width
+          : font.heightAtSize(watermarkSize, { descender: false });
+
+        // Draw one watermark rotated about its centre
+        const drawCentered = (centerX, centerY) => {
+          const origin = this.toPageCoordinates(
+            layout,
+            ...Object.values(this.getRotatedOrigin(centerX, centerY, itemWidth, itemHeight, watermarkRotation))
+          );
+          const options = {
+            ...origin,
+            opacity: watermarkOpacity,
+            rotate: degrees(layout.rotation + watermarkRotation)
+          };
+
+          if (image) {
+            page.drawImage(image, { ...options, width: itemWidth, height: itemHeight });
+          } else {
+            page.drawText(text, {
+              ...options,
+              size: watermarkSize,
+              font,
+              color: rgb(watermarkColor.r, watermarkColor.g, watermarkColor.b)
+            });
+          }
+        };
+
+        this.beginStamp(page, 'watermark');
+        if (layerRef) {
+          this.beginOptionalContent(page, layerRef);
+        }
+
+        if (position === 'tile') {
+          this.getTileCenters(layout.width, layout.height, itemWidth, itemHeight, {
+            spacingX: this.toNumber(tileSpacingX, 100),
+            spacingY: this.toNumber(tileSpacingY, 100),
+            stagger: tileStagger,
+            rotation: watermarkRotation
+          }).forEach(center => drawCentered(center.x, center.y));
+        } else if (position === 'custom') {
+          const center = this.getCustomWatermarkCenter(layout.width, layout.height, customX, customY, positionUnit);
+          drawCentered(center.x, center.y);
+        } else if (image) {
+          const box = this.calculateWatermarkBoxPosition(position, layout.width, layout.height, itemWidth, itemHeight, {
+            x: this.toNumber(marginX, 50),
+            y: this.toNumber(marginY, 50)
+          });
+          drawCentered(box.x + itemWidth / 2, box.y + itemHeight / 2);
+        } else {
+          // Calculate watermark position
+          const { x, y } = this.calculateWatermarkPosition(
+            position, 
+            layout.width, 
+            layout.height, 
+            text, 
+            font, 
+            watermarkSize,
+            {
+              x: this.toNumber(marginX, 50),
+              y: this.toNumber(marginY, 100)
+            }
+          );
+          const origin = this.toPageCoordinates(layout, x, y);
+
+          // Add watermark text with rotation and opacity
+          page.drawText(text, {
+            ...origin,
+            size: watermarkSize,
+            font,
+            color: rgb(watermarkColor.r, watermarkColor.g, watermarkColor.b),
+            opacity: watermarkOpacity,
+            rotate: degrees(layout.rotation + watermarkRotation) // Use degrees() function from pdf-lib
+          });
+        }
+
+        if (layerRef) {
+          page.pushOperators(endMarkedContent());
+        }
+        page.pushOperators(endMarkedContent());
+
+        if (layer === 'background') {
+          this.moveDrawingToBackground(page);
+        }
       }
 
       return await pdfDoc.save();
@@ -164,6 +996,98 @@ class PDFService {
     }
   }
 
+  /**
+   * Fill {placeholders} in a watermark template from a recipient's fields
+   * Field names match case-insensitively; {date}, {time} and {index} are filled in
+   * when the recipient has no field of that name. Unknown placeholders are left as typed.
+   * @param {string} template - Watermark text, e.g. 'Prepared for {name} <{email}> on {date}'
+   * @param {Object} recipient - Recipient fields
+   * @param {Object} context - Values shared by the batch (date, time, index)
+   * @returns {string} Personalized watermark text
+   */
+  static fillRecipientTemplate(template, recipient, context = {}) {
+    const values = {};
+    Object.entries(context).forEach(([key, value]) => {
+      values[key.toLowerCase()] = String(value);
+    });
+    Object.entries(recipient).forEach(([key, value]) => {
+      values[key.trim().toLowerCase()] = value;
+    });
+
+    return template.replace(/\{([^{}]+)\}/g, (match, key) => {
+      const value = values[key.trim().toLowerCase()];
+      return value === undefined ? match : value;
+    });
+  }
+
+  /**
+   * Create a personalized copy of a PDF for each recipient
+   * The watermark text and forensic identifier are templates filled from each recipient's fields
+   * (see fillRecipientTemplate). Forensic copies default to the recipient's email as identifier.
+   * @param {Buffer} pdfBuffer - PDF file buffer
+   * @param {Object} watermarkData - Watermark configuration (see addWatermarkToPDF) plus fileName, dateFormat, timeFormat and timeZone
+   * @param {Array<Object>} recipients - Recipient objects, e.g. { name, email }
+   * @param {Object} assets - Optional uploaded files shared by all copies (see addWatermarkToPDF)
+   * @returns {Promise<Array>} Array of { buffer, filename, recipient, text, forensicId } objects
+   */
+  static async addWatermarksForRecipients(pdfBuffer, watermarkData, recipients, assets = {}) {
+    try {
+      const {
+        type = 'text',
+        text = 'Prepared for {name} <{email}> on {date}',
+        forensicId = '',
+        fileName = 'document',
+        dateFormat = 'YYYY-MM-DD',
+        timeFormat = 'HH:mm',
+        timeZone = ''
+      } = watermarkData;
+
+      // Every copy carries the same timestamp
+      const now = new Date();
+      const date = this.formatDateTime(now, dateFormat, timeZone);
+      const time = this.formatDateTime(now, timeFormat, timeZone);
+      const baseName = fileName.replace(/\.pdf$/i, '');
+      const idTemplate = forensicId || (type === 'forensic' ? '{email}' : '');
+      const usedNames = new Set();
+      const results = [];
+
+      for (let i = 0; i < recipients.length; i++) {
+        const recipient = recipients[i];
+        const context = { date, time, index: i + 1 };
+        const watermarkText = type === 'forensic' ? '' : this.fillRecipientTemplate(text, recipient, context);
+        const recipientId = idTemplate ? this.fillRecipientTemplate(idTemplate, recipient, context) : '';
+        const pdfBytes = await this.addWatermarkToPDF(pdfBuffer, {
+          ...watermarkData,
+          type: type === 'forensic' ? 'forensic' : 'text',
+          text: watermarkText,
+          forensicId: recipientId
+        }, assets);
+
+        // Name each file after the recipient, numbering repeats so no copy is overwritten
+        const label = (recipient.name || recipient.email || `recipient_${i + 1}`)
+          .replace(/[^\p{L}\p{N}@._-]+/gu, '_')
+          .replace(/^_+|_+$/g, '') || `recipient_${i + 1}`;
+        let filename = `${baseName}_${label}.pdf`;
+        for (let copy = 2; usedNames.has(filename.toLowerCase()); copy++) {
+          filename = `${baseName}_${label}_${copy}.pdf`;
+        }
+        usedNames.add(filename.toLowerCase());
+
+        results.push({
+          buffer: Buffer.from(pdfBytes),
+          filename,
+          recipient,
+          text: watermarkText,
+          forensicId: recipientId
+        });
+      }
+
+      return results;
+    } catch (error) {
+      throw new Error(`Batch watermark processing failed: ${error.message}`);
+    }
+  }
+
   /**
    * Calculate watermark position based on position setting
    * @param {string} position - Position setting (center, top-left, etc.)
@@ -172,21 +1096,22 @@ class PDFService {
    * @param {string} text - Watermark text
    * @param {Object} font - PDF font object
    * @param {number} fontSize - Font size
+   * @param {Object} margins - Corner insets: x from the side edges to the text, y from the top/bottom edges to the baseline
    * @returns {Object} X and Y coordinates
    */
-  static calculateWatermarkPosition(position, pageWidth, pageHeight, text, font, fontSize) {
+  static calculateWatermarkPosition(position, pageWidth, pageHeight, text, font, fontSize, margins = { x: 50, y: 100 }) {
     const textWidth = font.widthOfTextAtSize(text, fontSize);
     const textHeight = fontSize;
     
     switch (position) {
       case 'top-left':
-        return { x: 50, y: pageHeight - 100 };
+        return { x: margins.x, y: pageHeight - margins.y };
       case 'top-right':
-        return { x: pageWidth - textWidth - 50, y: pageHeight - 100 };
+        return { x: pageWidth - textWidth - margins.x, y: pageHeight - margins.y };
       case 'bottom-left':
-        return { x: 50, y: 100 };
+        return { x: margins.x, y: margins.y };
       case 'bottom-right':
-        return { x: pageWidth - textWidth - 50, y: 100 };
+        return { x: pageWidth - textWidth - margins.x, y: margins.y };
       case 'center':
       default:
         return { 
@@ -196,6 +1121,984 @@ class PDFService {
     }
   }
 
+  /**
+   * Find where to draw a box so that, rotated about its bottom-left corner, it is centred on a point
+   * @param {number} centerX - X coordinate of the centre
+   * @param {number} centerY - Y coordinate of the centre
+   * @param {number} width - Box width
+   * @param {number} height - Box height
+   * @param {number} rotation - Rotation in degrees (counter-clockwise)
+   * @returns {Object} X and Y coordinates of the rotated bottom-left corner
+   */
+  static getRotatedOrigin(centerX, centerY, width, height, rotation) {
+    const radians = rotation * Math.PI / 180;
+    return {
+      x: centerX - (width / 2) * Math.cos(radians) + (height / 2) * Math.sin(radians),
+      y: centerY - (width / 2) * Math.sin(radians) - (height / 2) * Math.cos(radians)
+    };
+  }
+
+  /**
+   * Calculate the centres of a rotated grid of watermark tiles covering a page
+   * Rows run along the watermark's rotation so every tile lines up with its neighbours.
+   * @param {number} pageWidth - Page width
+   * @param {number} pageHeight - Page height
+   * @param {number} tileWidth - Width of one watermark
+   * @param {number} tileHeight - Height of one watermark
+   * @param {Object} options - spacingX, spacingY, stagger and rotation (degrees)
+   * @returns {Array<Object>} Tile centres ({ x, y })
+   */
+  static getTileCenters(pageWidth, pageHeight, tileWidth, tileHeight, options) {
+    const { spacingX = 100, spacingY = 100, stagger = true, rotation = 0 } = options;
+    let pitchX = Math.max(1, tileWidth + Math.max(0, spacingX));
+    let pitchY = Math.max(1, tileHeight + Math.max(0, spacingY));
+    // Cover the page's circumscribed circle so no corner is left empty at any angle
+    const reach = Math.hypot(pageWidth, pageHeight) / 2 + Math.max(tileWidth, tileHeight);
+    let columns = Math.ceil(reach / pitchX) + 1;
+    let rows = Math.ceil(reach / pitchY);
+
+    // Small tiles packed tightly on a large page would need a huge grid, so the pitch is
+    // widened evenly until the grid stays within MAX_WATERMARK_TILES
+    while ((2 * columns + 1) * (2 * rows + 1) > MAX_WATERMARK_TILES) {
+      pitchX *= 1.1;
+      pitchY *= 1.1;
+      columns = Math.ceil(reach / pitchX) + 1;
+      rows = Math.ceil(reach / pitchY);
+    }
+
+    const radians = rotation * Math.PI / 180;
+    const cos = Math.cos(radians);
+    const sin = Math.sin(radians);
+    // A tile can reach this far from its centre, whatever its rotation
+    const tileReach = Math.hypot(tileWidth, tileHeight) / 2;
+    const centers = [];
+
+    for (let row = -rows; row <= rows; row++) {
+      const offset = stagger && Math.abs(row) % 2 === 1 ? pitchX / 2 : 0;
+      for (let column = -columns; column <= columns; column++) {
+        const u = column * pitchX + offset;
+        const v = row * pitchY;
+        const x = pageWidth / 2 + u * cos - v * sin;
+        const y = pageHeight / 2 + u * sin + v * cos;
+
+        // Skip tiles that would fall entirely outside the page
+        if (x < -tileReach || x > pageWidth + tileReach || y < -tileReach || y > pageHeight + tileReach) {
+          continue;
+        }
+        centers.push({ x, y });
+      }
+    }
+
+    return centers;
+  }
+
+  /**
+   * Calculate the position of a watermark box (such as an image) based on position setting
+   * Corner positions keep the box the given margins away from the page edges.
+   * @param {string} position - Position setting (center, top-left, etc.)
+   * @param {number} pageWidth - Page width
+   * @param {number} pageHeight - Page height
+   * @param {number} boxWidth - Box width
+   * @param {number} boxHeight - Box height
+   * @param {Object} margins - Corner insets: x from the side edges, y from the top/bottom edges
+   * @returns {Object} X and Y coordinates of the bottom-left corner
+   */
+  static calculateWatermarkBoxPosition(position, pageWidth, pageHeight, boxWidth, boxHeight, margins = { x: 50, y: 50 }) {
+    switch (position) {
+      case 'top-left':
+        return { x: margins.x, y: pageHeight - margins.y - boxHeight };
+      case 'top-right':
+        return { x: pageWidth - boxWidth - margins.x, y: pageHeight - margins.y - boxHeight };
+      case 'bottom-left':
+        return { x: margins.x, y: margins.y };
+      case 'bottom-right':
+        return { x: pageWidth - boxWidth - margins.x, y: margins.y };
+      case 'center':
+      default:
+        return {
+          x: (pageWidth - boxWidth) / 2,
+          y: (pageHeight - boxHeight) / 2
+        };
+    }
+  }
+
+  /**
+   * Find the centre of a freely positioned watermark
+   * Coordinates are measured from the top-left corner of the page, like a screen position.
+   * @param {number} pageWidth - Page width
+   * @param {number} pageHeight - Page height
+   * @param {number|string} x - Distance of the centre from the left edge
+   * @param {number|string} y - Distance of the centre from the top edge
+   * @param {string} unit - 'percent' of the page width/height or 'pt'
+   * @returns {Object} X and Y coordinates of the centre (measured from the bottom-left corner)
+   */
+  static getCustomWatermarkCenter(pageWidth, pageHeight, x, y, unit = 'percent') {
+    const left = this.toNumber(x, 50);
+    const top = this.toNumber(y, 50);
+
+    if (unit === 'pt') {
+      return { x: left, y: pageHeight - top };
+    }
+    return {
+      x: pageWidth * left / 100,
+      y: pageHeight * (1 - top / 100)
+    };
+  }
+
+  /**
+   * Move what has been drawn on a page behind the page's existing content
+   * pdf-lib draws into a content stream of its own, appended after the page's streams;
+   * moving it to the front makes the existing content render over it.
+   * The page must not have been drawn on before, or that drawing moves too.
+   * @param {Object} page - PDF page object
+   */
+  static moveDrawingToBackground(page) {
+    const contents = page.node.Contents();
+    const drawingRef = page.contentStreamRef;
+
+    if (!(contents instanceof PDFArray) || !drawingRef) {
+      return;
+    }
+
+    const index = contents.indexOf(drawingRef);
+    if (index > 0) {
+      contents.remove(index);
+      contents.insert(0, drawingRef);
+    }
+  }
+
+  /**
+   * Register an optional content group (layer) that viewers can show or hide
+   * The group is added to the document's layer list; its usage states and auto states
+   * tell viewers whether to show it on screen, when printing and when exporting.
+   * @param {PDFDocument} pdfDoc - PDF document
+   * @param {string} name - Layer name shown in the viewer's layer panel
+   * @param {Object} visibility - view, print and export flags (each defaults to true)
+   * @returns {PDFRef} Reference to the optional content group
+   */
+  static addOptionalContentGroup(pdfDoc, name, visibility = {}) {
+    const context = pdfDoc.context;
+    const events = {
+      View: visibility.view !== false,
+      Print: visibility.print !== false,
+      Export: visibility.export !== false
+    };
+    const usage = {};
+    Object.entries(events).forEach(([event, visible]) => {
+      usage[event] = { [`${event}State`]: visible ? 'ON' : 'OFF' };
+    });
+
+    const groupRef = context.register(context.obj({
+      Type: 'OCG',
+      Name: PDFHexString.fromText(name),
+      Usage: usage
+    }));
+
+    // Get an array entry of a dictionary, creating it when missing
+    const getArray = (dict, key) => {
+      let array = dict.lookupMaybe(PDFName.of(key), PDFArray);
+      if (!array) {
+        array = context.obj([]);
+        dict.set(PDFName.of(key), array);
+      }
+      return array;
+    };
+
+    // Merge into any layers the document already has
+    let properties = pdfDoc.catalog.lookupMaybe(PDFName.of('OCProperties'), PDFDict);
+    if (!properties) {
+      properties = context.obj({});
+      pdfDoc.catalog.set(PDFName.of('OCProperties'), properties);
+    }
+    let defaults = properties.lookupMaybe(PDFName.of('D'), PDFDict);
+    if (!defaults) {
+      defaults = context.obj({});
+      properties.set(PDFName.of('D'), defaults);
+    }
+
+    getArray(properties, 'OCGs').push(groupRef);
+    getArray(defaults, 'Order').push(groupRef);
+    getArray(defaults, events.View ? 'ON' : 'OFF').push(groupRef);
+
+    // Auto states make viewers switch the layer to its usage state for each event
+    const autoStates = getArray(defaults, 'AS');
+    Object.keys(events).forEach(event => {
+      autoStates.push(context.obj({ Event: event, OCGs: [groupRef], Category: [event] }));
+    });
+
+    return groupRef;
+  }
+
+  /**
+   * Start marked content on a page that belongs to an optional content group
+   * Everything drawn until endMarkedContent() is pushed is shown or hidden with the group.
+   * @param {Object} page - PDF page object
+   * @param {PDFRef} groupRef - Optional content group from addOptionalContentGroup
+   */
+  static beginOptionalContent(page, groupRef) {
+    const { Resources } = page.node.normalizedEntries();
+    let properties = Resources.lookupMaybe(PDFName.of('Properties'), PDFDict);
+    if (!properties) {
+      properties = page.doc.context.obj({});
+      Resources.set(PDFName.of('Properties'), properties);
+    }
+
+    const key = properties.uniqueKey('OC');
+    properties.set(key, groupRef);
+    page.pushOperators(PDFOperator.of(PDFOperatorNames.BeginMarkedContentSequence, [PDFName.of('OC'), key]));
+  }
+
+  /**
+   * Start marked content tagging what is drawn next on a page as a stamp of this service
+   * Everything drawn until endMarkedContent() is pushed can later be stripped by removeStamps.
+   * @param {Object} page - PDF page object
+   * @param {string} kind - Stamp kind, one of STAMP_KINDS
+   */
+  static beginStamp(page, kind) {
+    page.pushOperators(PDFOperator.of(PDFOperatorNames.BeginMarkedContentSequence, [
+      PDFName.of(STAMP_TAG),
+      page.doc.context.obj({ Kind: kind })
+    ]));
+  }
+
+  /**
+   * Remove the headers, footers and watermarks this service added to a PDF
+   * Tagged content is cut out of the page content streams and the rest is left as it was;
+   * header/footer link annotations and watermark layers are removed as well.
+   * @param {Buffer} pdfBuffer - PDF file buffer
+   * @param {Object} unstampData - Optional kinds to remove ('watermark', 'header-footer', 'barcode', 'rubber-stamp'; default all)
+   * @returns {Promise<Object>} { bytes, removedContent, removedAnnotations } with the cleaned PDF
+   */
+  static async removeStamps(pdfBuffer, unstampData = {}) {
+    try {
+      const { kinds = STAMP_KINDS } = unstampData;
+      const selectedKinds = Array.isArray(kinds) ? kinds : [kinds];
+      selectedKinds.forEach(kind => {
+        if (!STAMP_KINDS.includes(kind)) {
+          throw new Error(`Unknown stamp kind: ${kind}`);
+        }
+      });
+      // Kinds are stored as PDF names; parsed content streams give them with a leading slash
+      const isSelected = (kind) => kind !== undefined && selectedKinds.includes(String(kind).replace(/^\//, ''));
+
+      const pdfDoc = await PDFDocument.load(pdfBuffer);
+      const context = pdfDoc.context;
+      const cleanedStreams = new Set();
+      const emptiedStreams = new Set();
+      let removedContent = 0;
+      let removedAnnotations = 0;
+
+      pdfDoc.getPages().forEach(page => {
+        // Contents is a stream reference or an array of them (possibly itself a reference)
+        const contents = page.node.get(PDFName.of('Contents'));
+        const resolved = contents instanceof PDFRef ? context.lookup(contents) : contents;
+        const streamRefs = resolved instanceof PDFArray ? resolved.asArray() : [contents];
+
+        streamRefs.forEach(ref => {
+          // Streams can be shared between pages; clean each one once
+          if (!(ref instanceof PDFRef) || cleanedStreams.has(ref)) {
+            return;
+          }
+          cleanedStreams.add(ref);
+
+          const stream = context.lookup(ref);
+          if (!(stream instanceof PDFRawStream)) {
+            return;
+          }
+
+          const result = removeMarkedContent(
+            decodePDFRawStream(stream).decode(),
+            STAMP_TAG,
+            properties => isSelected(properties.Kind)
+          );
+          if (result.removed > 0) {
+            context.assign(ref, context.flateStream(result.bytes));
+            removedContent += result.removed;
+            if (result.bytes.toString('latin1').trim() === '') {
+              emptiedStreams.add(ref);
+            }
+          }
+        });
+
+        // Streams that held nothing but stamps are dropped from the page
+        if (resolved instanceof PDFArray) {
+          for (let index = resolved.size() - 1; index >= 0; index--) {
+            if (emptiedStreams.has(resolved.get(index))) {
+              resolved.remove(index);
+            }
+          }
+        }
+
+        const annots = page.node.Annots();
+        if (annots) {
+          for (let index = annots.size() - 1; index >= 0; index--) {
+            const annot = annots.lookup(index);
+            if (annot instanceof PDFDict && isSelected(annot.get(PDFName.of(STAMP_TAG)))) {
+              annots.remove(index);
+              removedAnnotations++;
+            }
+          }
+        }
+      });
+
+      this.removeStampLayers(pdfDoc, isSelected);
+
+      return {
+        bytes: await pdfDoc.save(),
+        removedContent,
+        removedAnnotations
+      };
+    } catch (error) {
+      throw new Error(`Stamp removal failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Remove the optional content groups created for stamps from a document's layer list
+   * @param {PDFDocument} pdfDoc - Loaded PDF document
+   * @param {Function} isSelected - Called with a group's stamp kind; true when the group should go
+   */
+  static removeStampLayers(pdfDoc, isSelected) {
+    const context = pdfDoc.context;
+    const properties = pdfDoc.catalog.lookupMaybe(PDFName.of('OCProperties'), PDFDict);
+    const groups = properties && properties.lookupMaybe(PDFName.of('OCGs'), PDFArray);
+    if (!groups) {
+      return;
+    }
+
+    const stampGroups = groups.asArray().filter(ref => {
+      const group = context.lookup(ref);
+      return group instanceof PDFDict && isSelected(group.get(PDFName.of(STAMP_TAG)));
+    });
+    if (stampGroups.length === 0) {
+      return;
+    }
+
+    // Drop every reference to the groups from an array
+    const removeGroups = (array) => {
+      if (!array) {
+        return;
+      }
+      for (let index = array.size() - 1; index >= 0; index--) {
+        if (stampGroups.includes(array.get(index))) {
+          array.remove(index);
+        }
+      }
+    };
+
+    removeGroups(groups);
+    const defaults = properties.lookupMaybe(PDFName.of('D'), PDFDict);
+    if (defaults) {
+      ['Order', 'ON', 'OFF'].forEach(key => removeGroups(defaults.lookupMaybe(PDFName.of(key), PDFArray)));
+
+      // Auto states that only switched the removed groups have nothing left to do
+      const autoStates = defaults.lookupMaybe(PDFName.of('AS'), PDFArray);
+      if (autoStates) {
+        for (let index = autoStates.size() - 1; index >= 0; index--) {
+          const autoState = autoStates.lookupMaybe(index, PDFDict);
+          const autoGroups = autoState && autoState.lookupMaybe(PDFName.of('OCGs'), PDFArray);
+          removeGroups(autoGroups);
+          if (autoGroups && autoGroups.size() === 0) {
+            autoStates.remove(index);
+          }
+        }
+      }
+    }
+
+    if (groups.size() === 0) {
+      pdfDoc.catalog.delete(PDFName.of('OCProperties'));
+    }
+  }
+
+  /**
+   * Create the forensic token that carries an identifier
+   * The identifier is hex encoded (so any font can show it) and followed by a checksum
+   * that tells real tokens apart from look-alike text.
+   * @param {string} id - Identifier, e.g. a recipient's email address
+   * @returns {string} Token such as PDFDOST-FID-6A616E65-1A2B3C4D
+   */
+  static createForensicToken(id) {
+    const hex = Buffer.from(String(id), 'utf8').toString('hex').toUpperCase();
+    return `${FORENSIC_TOKEN_PREFIX}-${hex}-${this.getForensicChecksum(hex)}`;
+  }
+
+  /**
+   * Checksum of the hex-encoded identifier in a forensic token
+   * @param {string} hex - Hex-encoded identifier
+   * @returns {string} Eight uppercase hex digits
+   */
+  static getForensicChecksum(hex) {
+    return crypto.createHash('sha256').update(hex).digest('hex').slice(0, 8).toUpperCase();
+  }
+
+  /**
+   * Find the identifiers of the valid forensic tokens in a piece of text
+   * @param {string} text - Text to search
+   * @returns {Array<string>} Identifiers, in order of appearance (tokens with a bad checksum are skipped)
+   */
+  static readForensicTokens(text) {
+    const ids = [];
+    for (const [, hex, checksum] of text.matchAll(FORENSIC_TOKEN_PATTERN)) {
+      if (hex.length % 2 === 0 && this.getForensicChecksum(hex) === checksum) {
+        ids.push(Buffer.from(hex, 'hex').toString('utf8'));
+      }
+    }
+    return ids;
+  }
+
+  /**
+   * Hide a forensic token on a page
+   * The token is shown as invisible text at several spots, so cropping part of the page or
+   * extracting the text keeps it, and is also stored in the page dictionary.
+   * It is marked as an artifact so screen readers skip it, and is not tagged as a stamp,
+   * so removeStamps leaves it in place.
+   * @param {Object} page - PDF page object
+   * @param {PDFFont} font - Embedded font for the invisible text
+   * @param {string} token - Token from createForensicToken
+   */
+  static addForensicMark(page, font, token) {
+    const box = this.getPageBox(page);
+    const fontKey = page.node.newFontDictionary(font.name, font.ref);
+    const encodedToken = font.encodeText(token);
+
+    page.pushOperators(
+      beginMarkedContent('Artifact'),
+      pushGraphicsState(),
+      beginText(),
+      setFontAndSize(fontKey, 1),
+      setTextRenderingMode(TextRenderingMode.Invisible),
+      ...FORENSIC_SPOTS.flatMap(([fractionX, fractionY]) => [
+        setTextMatrix(1, 0, 0, 1, box.x + box.width * fractionX, box.y + box.height * fractionY),
+        showText(encodedToken)
+      ]),
+      endText(),
+      popGraphicsState(),
+      endMarkedContent()
+    );
+    page.node.set(PDFName.of(FORENSIC_PAGE_KEY), PDFString.of(token));
+  }
+
+  /**
+   * Read forensic identifiers back from a PDF, e.g. a leaked copy
+   * Both the invisible text (decoded through the fonts' ToUnicode maps, so copies that were
+   * re-saved or printed to PDF can still be read) and the page dictionary entries are searched.
+   * @param {Buffer} pdfBuffer - PDF file buffer
+   * @returns {Promise<Object>} { pageCount, identifiers: [{ id, pages, sources }] }
+   */
+  static async detectForensicWatermarks(pdfBuffer) {
+    try {
+      const pdfDoc = await PDFDocument.load(pdfBuffer);
+      const found = new Map();
+      const record = (id, pageNumber, source) => {
+        if (!found.has(id)) {
+          found.set(id, { id, pages: new Set(), sources: new Set() });
+        }
+        found.get(id).pages.add(pageNumber);
+        found.get(id).sources.add(source);
+      };
+
+      pdfDoc.getPages().forEach((page, index) => {
+        const entry = page.node.lookup(PDFName.of(FORENSIC_PAGE_KEY));
+        if (entry instanceof PDFString || entry instanceof PDFHexString) {
+          this.readForensicTokens(entry.decodeText()).forEach(id => record(id, index + 1, 'metadata'));
+        }
+
+        const text = collectText(this.getPageOperations(page), this.createContentResources(page.node.Resources()));
+        this.readForensicTokens(text).forEach(id => record(id, index + 1, 'text'));
+      });
+
+      return {
+        pageCount: pdfDoc.getPageCount(),
+        identifiers: [...found.values()].map(item => ({
+          id: item.id,
+          pages: [...item.pages].sort((a, b) => a - b),
+          sources: [...item.sources]
+        }))
+      };
+    } catch (error) {
+      throw new Error(`Forensic watermark detection failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Build a filled SVG path from rectangles
+   * @param {Array<Array<number>>} rects - [x, y, width, height] in SVG units (y down)
+   * @returns {string} SVG path data
+   */
+  static rectanglesToSvgPath(rects) {
+    return rects.map(([x, y, width, height]) => `M${x} ${y}h${width}v${height}h${-width}Z`).join('');
+  }
+
+  /**
+   * Lay out a QR code or Code 128 barcode
+   * Sizes are in points; the quiet zone is kept free on every side of the code.
+   * @param {Object} code - Code settings (type, size, quietZone, errorCorrection, moduleWidth, showText, fontSize)
+   * @param {string} payload - Text to encode
+   * @returns {Object} { width, height, path, scale, offsetX, offsetY, text } with the dark modules as an SVG path
+   */
+  static layoutBarcode(code, payload) {
+    if (code.type === 'qr') {
+      const modules = encodeQrCode(payload, code.errorCorrection || 'M');
+      const moduleSize = this.toNumber(code.size, 72) / modules.length;
+      const quietZone = this.toNumber(code.quietZone, 4) * moduleSize;
+
+      // Merge each row's neighbouring dark modules into one rectangle
+      const rects = [];
+      modules.forEach((row, y) => {
+        for (let x = 0; x < row.length; x++) {
+          if (row[x]) {
+            const start = x;
+            while (row[x + 1]) {
+              x++;
+            }
+            rects.push([start, y, x - start + 1, 1]);
+          }
+        }
+      });
+
+      return {
+        width: modules.length * moduleSize + quietZone * 2,
+        height: modules.length * moduleSize + quietZone * 2,
+        path: this.rectanglesToSvgPath(rects),
+        scale: moduleSize,
+        offsetX: quietZone,
+        offsetY: quietZone,
+        text: null
+      };
+    }
+
+    if (code.type === 'code128') {
+      const widths = encodeCode128(payload);
+      const moduleWidth = this.toNumber(code.moduleWidth, 1);
+      const barHeight = this.toNumber(code.size, 36);
+      const quietZone = this.toNumber(code.quietZone, 10) * moduleWidth;
+      const fontSize = this.toNumber(code.fontSize, 8);
+      const textHeight = code.showText === false ? 0 : fontSize + 2;
+
+      // Widths alternate bar, space, bar...; only bars are drawn
+      const rects = [];
+      let x = 0;
+      widths.forEach((width, index) => {
+        if (index % 2 === 0) {
+          rects.push([x, 0, width, barHeight / moduleWidth]);
+        }
+        x += width;
+      });
+
+      return {
+        width: x * moduleWidth + quietZone * 2,
+        height: barHeight + textHeight + quietZone * 2,
+        path: this.rectanglesToSvgPath(rects),
+        scale: moduleWidth,
+        offsetX: quietZone,
+        offsetY: quietZone,
+        text: textHeight ? { value: payload, size: fontSize, y: quietZone + barHeight + fontSize } : null
+      };
+    }
+
+    throw new Error(`Unknown code type: ${code.type}`);
+  }
+
+  /**
+   * Stamp QR codes and Code 128 barcodes on PDF pages
+   * Payloads are templates filled per page (see fillRecipientTemplate) from the fields plus
+   * {x} (page number), {y} (total pages), {date} and {file}. Codes are drawn as vector shapes,
+   * upright on the page as displayed, and tagged so removeStamps can strip them.
+   * @param {Buffer} pdfBuffer - PDF file buffer
+   * @param {Object} barcodeData - codes (array of code settings), fields, applyToPages, fileName
+   * @returns {Promise<Uint8Array>} Processed PDF bytes
+   */
+  static async addBarcodesToPDF(pdfBuffer, barcodeData) {
+    try {
+      const {
+        codes = [],
+        fields = {},
+        applyToPages = '',
+        fileName = 'document'
+      } = barcodeData;
+
+      if (!Array.isArray(codes) || codes.length === 0) {
+        throw new Error('No codes to stamp');
+      }
+
+      const pdfDoc = await PDFDocument.load(pdfBuffer);
+      const pages = pdfDoc.getPages();
+      const font = codes.some(code => code.type === 'code128' && code.showText !== false)
+        ? await pdfDoc.embedFont(StandardFonts.Helvetica)
+        : null;
+      const date = this.formatDateTime(new Date(), 'YYYY-MM-DD');
+
+      const selectedPages = String(applyToPages).trim() !== ''
+        ? this.parsePageRanges(applyToPages, pages.length)
+        : new Set(pages.map((_, index) => index));
+
+      pages.forEach((page, index) => {
+        if (!selectedPages.has(index)) {
+          return;
+        }
+        const layout = this.getPageLayout(page);
+        const rotate = degrees(layout.rotation);
+        const context = { x: index + 1, y: pages.length, date, file: fileName };
+
+        this.beginStamp(page, 'barcode');
+        codes.forEach(code => {
+          const payload = this.fillRecipientTemplate(String(code.payload || ''), fields, context);
+          const box = this.layoutBarcode(code, payload);
+
+          // Same presets as watermarks, with the box including the quiet zone
+          let x;
+          let y;
+          if (code.position === 'custom') {
+            const center = this.getCustomWatermarkCenter(layout.width, layout.height, code.x, code.y, code.positionUnit);
+            x = center.x - box.width / 2;
+            y = center.y - box.height / 2;
+          } else {
+            ({ x, y } = this.calculateWatermarkBoxPosition(
+              code.position || 'bottom-right',
+              layout.width,
+              layout.height,
+              box.width,
+              box.height,
+              { x: this.toNumber(code.marginX, 36), y: this.toNumber(code.marginY, 36) }
+            ));
+          }
+          const top = y + box.height;
+          const color = this.hexToRgb(code.color || '#000000');
+
+          if (code.background !== null && code.background !== '') {
+            const background = this.hexToRgb(code.background || '#FFFFFF');
+            page.drawRectangle({
+              ...this.toPageCoordinates(layout, x, y),
+              width: box.width,
+              height: box.height,
+              color: rgb(background.r, background.g, background.b),
+              rotate
+            });
+          }
+
+          page.drawSvgPath(box.path, {
+            ...this.toPageCoordinates(layout, x + box.offsetX, top - box.offsetY),
+            scale: box.scale,
+            color: rgb(color.r, color.g, color.b),
+            rotate
+          });
+
+          if (box.text) {
+            const textWidth = font.widthOfTextAtSize(box.text.value, box.text.size);
+            page.drawText(box.text.value, {
+              ...this.toPageCoordinates(layout, x + (box.width - textWidth) / 2, top - box.text.y),
+              size: box.text.size,
+              font,
+              color: rgb(color.r, color.g, color.b),
+              rotate
+            });
+          }
+        });
+        page.pushOperators(endMarkedContent());
+      });
+
+      return await pdfDoc.save();
+    } catch (error) {
+      throw new Error(`Barcode stamping failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * List the built-in rubber stamp templates
+   * @returns {Array} Array of { value, text, color } objects
+   */
+  static getRubberStampTemplates() {
+    return Object.entries(RUBBER_STAMP_TEMPLATES).map(([value, template]) => ({
+      value,
+      text: template.text,
+      color: template.color
+    }));
+  }
+
+  /**
+   * Create the appearance of a rubber stamp as a Form XObject
+   * The stamp is a bordered box with a bold title line followed by detail lines, all centred,
+   * drawn upright with its bottom-left corner at the origin.
+   * @param {PDFDocument} pdfDoc - PDF document
+   * @param {Object} stamp - title, details, titleFont, detailFont, fontSize, color, borderStyle, borderWidth, opacity
+   * @returns {Object} { ref, width, height } of the appearance
+   */
+  static createRubberStampAppearance(pdfDoc, stamp) {
+    const { title, details, titleFont, detailFont, fontSize, borderStyle, borderWidth, opacity } = stamp;
+    const color = rgb(stamp.color.r, stamp.color.g, stamp.color.b);
+    const detailSize = Math.max(7, fontSize * 0.45);
+    const padding = fontSize * 0.4 + (borderStyle === 'none' ? 0 : borderWidth * (borderStyle === 'double' ? 3 : 1));
+    const lines = [
+      { text: title, font: titleFont, key: 'F0', size: fontSize },
+      ...details.map(text => ({ text, font: detailFont, key: 'F1', size: detailSize }))
+    ];
+
+    // Lines are spaced by their cap height plus a gap, and centred in the box
+    const lineGap = detailSize * 0.5;
+    const capHeights = lines.map(line => line.font.heightAtSize(line.size, { descender: false }));
+    const width = Math.max(...lines.map(line => line.font.widthOfTextAtSize(line.text, line.size))) + padding * 2;
+    const height = capHeights.reduce((sum, capHeight) => sum + capHeight, 0)
+      + lineGap * (lines.length - 1) + padding * 2;
+    const noRotation = { rotate: degrees(0), xSkew: degrees(0), ySkew: degrees(0) };
+
+    const operators = [];
+    if (opacity < 1) {
+      operators.push(setGraphicsState('GS0'));
+    }
+
+    const inset = borderWidth / 2;
+    if (borderStyle === 'rounded') {
+      const radius = Math.min(height / 4, 12);
+      const innerWidth = width - borderWidth;
+      const innerHeight = height - borderWidth;
+      operators.push(...drawSvgPath(
+        `M${inset + radius} ${inset}h${innerWidth - radius * 2}a${radius} ${radius} 0 0 1 ${radius} ${radius}` +
+        `v${innerHeight - radius * 2}a${radius} ${radius} 0 0 1 ${-radius} ${radius}h${radius * 2 - innerWidth}` +
+        `a${radius} ${radius} 0 0 1 ${-radius} ${-radius}v${radius * 2 - innerHeight}a${radius} ${radius} 0 0 1 ${radius} ${-radius}Z`,
+        { x: 0, y: height, borderColor: color, borderWidth }
+      ));
+    } else if (borderStyle !== 'none') {
+      const border = {
+        x: inset,
+        y: inset,
+        width: width - borderWidth,
+        height: height - borderWidth,
+        borderColor: color,
+        borderWidth,
+        borderDashArray: borderStyle === 'dashed' ? [borderWidth * 3, borderWidth * 2] : undefined,
+        ...noRotation
+      };
+      operators.push(...drawRectangle(border));
+      if (borderStyle === 'double') {
+        // A thinner inner line two border widths inside the outer one
+        const gap = borderWidth * 2;
+        operators.push(...drawRectangle({
+          ...border,
+          x: border.x + gap,
+          y: border.y + gap,
+          width: border.width - gap * 2,
+          height: border.height - gap * 2,
+          borderWidth: Math.max(0.5, borderWidth / 2)
+        }));
+      }
+    }
+
+    let baseline = height - padding;
+    lines.forEach((line, index) => {
+      baseline -= capHeights[index];
+      operators.push(...drawText(line.font.encodeText(line.text), {
+        x: (width - line.font.widthOfTextAtSize(line.text, line.size)) / 2,
+        y: baseline,
+        font: line.key,
+        size: line.size,
+        color,
+        ...noRotation
+      }));
+      baseline -= lineGap;
+    });
+
+    const resources = { Font: { F0: titleFont.ref, F1: detailFont.ref } };
+    if (opacity < 1) {
+      resources.ExtGState = { GS0: { Type: 'ExtGState', ca: opacity, CA: opacity } };
+    }
+
+    const ref = pdfDoc.context.register(pdfDoc.context.formXObject(operators, {
+      BBox: [0, 0, width, height],
+      Resources: resources
+    }));
+    return { ref, width, height };
+  }
+
+  /**
+   * Wrap a stamp appearance in a Form XObject that draws it rotated about its origin
+   * The wrapper's bounding box is the area the rotated stamp covers, which is what a
+   * Stamp annotation's Rect must match.
+   * @param {PDFDocument} pdfDoc - PDF document
+   * @param {Object} appearance - Appearance from createRubberStampAppearance
+   * @param {number} angle - Rotation in degrees (counter-clockwise)
+   * @returns {Object} { ref, bounds } with bounds as [minX, minY, maxX, maxY] around the origin
+   */
+  static createRotatedAppearance(pdfDoc, appearance, angle) {
+    const radians = angle * Math.PI / 180;
+    const cos = Math.cos(radians);
+    const sin = Math.sin(radians);
+    const corners = [[0, 0], [appearance.width, 0], [0, appearance.height], [appearance.width, appearance.height]]
+      .map(([x, y]) => [x * cos - y * sin, x * sin + y * cos]);
+    const bounds = [
+      Math.min(...corners.map(corner => corner[0])),
+      Math.min(...corners.map(corner => corner[1])),
+      Math.max(...corners.map(corner => corner[0])),
+      Math.max(...corners.map(corner => corner[1]))
+    ];
+
+    const ref = pdfDoc.context.register(pdfDoc.context.formXObject([
+      pushGraphicsState(),
+      concatTransformationMatrix(cos, sin, -sin, cos, 0, 0),
+      drawObject('Stamp'),
+      popGraphicsState()
+    ], {
+      BBox: bounds,
+      Resources: { XObject: { Stamp: appearance.ref } }
+    }));
+    return { ref, bounds };
+  }
+
+  /**
+   * Add office-style rubber stamps (e.g. APPROVED with a reviewer name and date) to PDF pages
+   * In 'flatten' mode the stamp becomes page content, tagged so removeStamps can strip it;
+   * in 'annotation' mode it is a Stamp annotation that reviewers can move or delete.
+   * Either way it is upright on the page as displayed.
+   * @param {Buffer} pdfBuffer - PDF file buffer
+   * @param {Object} stampData - Stamp configuration
+   * @returns {Promise<Uint8Array>} Processed PDF bytes
+   */
+  static async addRubberStampToPDF(pdfBuffer, stampData) {
+    try {
+      const {
+        template = 'approved', // built-in template, or 'custom' to use text alone
+        text = '',
+        signer = '',
+        date = '', // shown as given; today's date in dateFormat when empty
+        showDate = true,
+        dateFormat = 'YYYY-MM-DD',
+        timeZone = '',
+        color = '',
+        borderStyle = 'solid',
+        borderWidth = 3,
+        fontSize = 24,
+        fontName = '',
+        opacity = 1,
+        rotation = 0,
+        position = 'top-right',
+        x,
+        y,
+        positionUnit = 'percent',
+        marginX,
+        marginY,
+        applyToPages = '1', // empty for all pages
+        mode = 'flatten' // 'flatten' or 'annotation'
+      } = stampData;
+
+      const preset = RUBBER_STAMP_TEMPLATES[template];
+      if (!preset && template !== 'custom') {
+        throw new Error(`Unknown stamp template: ${template}`);
+      }
+      const title = String(text || (preset ? preset.text : '')).trim();
+      if (!title) {
+        throw new Error('Stamp text is required for a custom stamp');
+      }
+      if (!RUBBER_STAMP_BORDERS.includes(borderStyle)) {
+        throw new Error(`Unknown border style: ${borderStyle}`);
+      }
+      if (!['flatten', 'annotation'].includes(mode)) {
+        throw new Error(`Unknown stamp mode: ${mode}`);
+      }
+
+      const pdfDoc = await PDFDocument.load(pdfBuffer);
+      const pages = pdfDoc.getPages();
+      const now = new Date();
+      const details = [
+        String(signer).trim(),
+        showDate ? (String(date).trim() || this.formatDateTime(now, dateFormat, timeZone)) : ''
+      ].filter(Boolean);
+      const stampColor = this.hexToRgb(color || (preset ? preset.color : '#C62828'));
+      const stampOpacity = Math.min(1, Math.max(0.1, this.toNumber(opacity, 1)));
+      const stampRotation = this.toNumber(rotation, 0);
+
+      const appearance = this.createRubberStampAppearance(pdfDoc, {
+        title,
+        details,
+        titleFont: await FontService.embedFont(pdfDoc, await FontService.getStyledFontName(fontName, { bold: true })),
+        detailFont: await FontService.embedFont(pdfDoc, fontName),
+        fontSize: Math.max(8, this.toNumber(fontSize, 24)),
+        color: stampColor,
+        borderStyle,
+        borderWidth: Math.max(0.5, this.toNumber(borderWidth, 3)),
+        opacity: stampOpacity
+      });
+      // Pages with the same rotation share one rotated appearance
+      const rotatedAppearances = new Map();
+
+      // The stamp's footprint on the displayed page, used to keep rotated stamps inside the margins
+      const radians = stampRotation * Math.PI / 180;
+      const footprintWidth = Math.abs(appearance.width * Math.cos(radians)) + Math.abs(appearance.height * Math.sin(radians));
+      const footprintHeight = Math.abs(appearance.width * Math.sin(radians)) + Math.abs(appearance.height * Math.cos(radians));
+
+      const selectedPages = String(applyToPages).trim() !== ''
+        ? this.parsePageRanges(applyToPages, pages.length)
+        : new Set(pages.map((_, index) => index));
+
+      selectedPages.forEach(index => {
+        const page = pages[index];
+        const layout = this.getPageLayout(page);
+
+        let center;
+        if (position === 'custom') {
+          center = this.getCustomWatermarkCenter(layout.width, layout.height, x, y, positionUnit);
+        } else {
+          const corner = this.calculateWatermarkBoxPosition(
+            position,
+            layout.width,
+            layout.height,
+            footprintWidth,
+            footprintHeight,
+            { x: this.toNumber(marginX, 36), y: this.toNumber(marginY, 36) }
+          );
+          center = { x: corner.x + footprintWidth / 2, y: corner.y + footprintHeight / 2 };
+        }
+        const origin = this.toPageCoordinates(
+          layout,
+          ...Object.values(this.getRotatedOrigin(center.x, center.y, appearance.width, appearance.height, stampRotation))
+        );
+
+        const angle = layout.rotation + stampRotation;
+        if (!rotatedAppearances.has(angle)) {
+          rotatedAppearances.set(angle, this.createRotatedAppearance(pdfDoc, appearance, angle));
+        }
+        const rotated = rotatedAppearances.get(angle);
+
+        if (mode === 'annotation') {
+          const annotation = pdfDoc.context.obj({
+            Type: 'Annot',
+            Subtype: 'Stamp',
+            Name: preset ? preset.name : 'Custom',
+            Rect: [
+              origin.x + rotated.bounds[0],
+              origin.y + rotated.bounds[1],
+              origin.x + rotated.bounds[2],
+              origin.y + rotated.bounds[3]
+            ],
+            Contents: PDFHexString.fromText([title, ...details].join('\n')),
+            M: PDFString.fromDate(now),
+            CreationDate: PDFString.fromDate(now),
+            F: 4, // Print
+            AP: { N: rotated.ref },
+            P: page.ref,
+            [STAMP_TAG]: 'rubber-stamp'
+          });
+          if (signer) {
+            annotation.set(PDFName.of('T'), PDFHexString.fromText(String(signer).trim()));
+          }
+          page.node.addAnnot(pdfDoc.context.register(annotation));
+        } else {
+          const key = page.node.newXObject('RubberStamp', rotated.ref);
+          this.beginStamp(page, 'rubber-stamp');
+          page.pushOperators(
+            pushGraphicsState(),
+            concatTransformationMatrix(1, 0, 0, 1, origin.x, origin.y),
+            drawObject(key),
+            popGraphicsState(),
+            endMarkedContent()
+          );
+        }
+      });
+
+      return await pdfDoc.save();
+    } catch (error) {
+      throw new Error(`Rubber stamp processing failed: ${error.message}`);
+    }
+  }
+
   /**
    * Split PDF into separate documents
    * @param {Buffer} pdfBuffer - PDF file buffer
@@ -210,10 +2113,12 @@ class PDFService {
       
       // Extract split configuration
       const {
-        splitType = 'pages', // 'pages', 'ranges', 'every'
+        splitType = 'pages', // 'pages', 'ranges', 'every', 'bookmarks', 'size'
         pages = [], // Array of page numbers for 'pages' type
         ranges = [], // Array of {start, end} objects for 'ranges' type
         everyNPages = 1, // Number for 'every' type
+        bookmarkDepth = 1, // Deepest outline level to split at for 'bookmarks' type
+        maxFileSize = 10 * 1000 * 1000, // Largest saved part in bytes for 'size' type
         fileName = 'document' // Base filename
       } = splitData;
 
@@ -293,6 +2198,126 @@ class PDFService {
           
           partNumber++;
         }
+      } else if (splitType === 'bookmarks') {
+        // Start a new file at each page a bookmark points to, down to the chosen outline depth;
+        // when several bookmarks point to the same page, the first one names the file
+        const sections = [];
+        this.getOutlineEntries(sourcePdf, Math.max(1, parseInt(bookmarkDepth) || 1))
+          .filter(entry => entry.pageIndex >= 0)
+          .sort((a, b) => a.pageIndex - b.pageIndex)
+          .forEach(entry => {
+            if (sections.length === 0 || sections[sections.length - 1].pageIndex !== entry.pageIndex) {
+              sections.push(entry);
+            }
+          });
+
+        if (sections.length === 0) {
+          throw new Error('The PDF has no bookmarks pointing to its pages');
+        }
+        // Pages before the first bookmark, such as a cover or contents, get a file of their own
+        if (sections[0].pageIndex > 0) {
+          sections.unshift({ title: 'Front matter', pageIndex: 0 });
+        }
+
+        const numberWidth = String(sections.length).length;
+        for (let i = 0; i < sections.length; i++) {
+          const startPage = sections[i].pageIndex + 1;
+          const endPage = i + 1 < sections.length ? sections[i + 1].pageIndex : totalPages;
+          const partNumber = String(i + 1).padStart(Math.max(2, numberWidth), '0');
+          const title = sections[i].title || `Section ${i + 1}`;
+          const label = title
+            .replace(/[^\p{L}\p{N}._-]+/gu, '_')
+            .replace(/^_+|_+$/g, '')
+            .slice(0, 80) || `section_${i + 1}`;
+
+          const newPdf = await PDFDocument.create();
+          const pageIndices = [];
+          for (let pageNum = startPage; pageNum <= endPage; pageNum++) {
+            pageIndices.push(pageNum - 1);
+          }
+
+          const copiedPages = await newPdf.copyPages(sourcePdf, pageIndices);
+          copiedPages.forEach(page => newPdf.addPage(page));
+          newPdf.setTitle(title);
+
+          const pdfBytes = await newPdf.save();
+          results.push({
+            buffer: Buffer.from(pdfBytes),
+            filename: `${fileName}_${partNumber}_${label}.pdf`,
+            pageRange: startPage === endPage ? `Page ${startPage}` : `Pages ${startPage}-${endPage}`,
+            pageCount: endPage - startPage + 1,
+            title
+          });
+        }
+      } else if (splitType === 'size') {
+        // Pack consecutive pages into parts no larger than maxFileSize. Shared fonts and images
+        // are copied into every part that uses them, so each candidate part is saved and
+        // measured rather than estimated from the source file.
+        const limit = parseInt(maxFileSize);
+        if (!(limit > 0)) {
+          throw new Error('Maximum file size must be a positive number of bytes');
+        }
+
+        const savePages = async (startIndex, endIndex) => {
+          const newPdf = await PDFDocument.create();
+          const pageIndices = [];
+          for (let j = startIndex; j <= endIndex; j++) {
+            pageIndices.push(j);
+          }
+          const copiedPages = await newPdf.copyPages(sourcePdf, pageIndices);
+          copiedPages.forEach(page => newPdf.addPage(page));
+          return Buffer.from(await newPdf.save());
+        };
+
+        let partNumber = 1;
+        let startIndex = 0;
+        while (startIndex < totalPages) {
+          // A part always gets at least one page, even if that page alone is over the limit
+          let lastFit = startIndex;
+          let partBytes = await savePages(startIndex, startIndex);
+
+          if (partBytes.length <= limit) {
+            // Double the number of extra pages until the part overflows, then binary search
+            // between the last size that fit and the first that did not
+            let firstOverflow = totalPages;
+            let step = 1;
+            while (lastFit < totalPages - 1) {
+              const endIndex = Math.min(lastFit + step, totalPages - 1);
+              const bytes = await savePages(startIndex, endIndex);
+              if (bytes.length > limit) {
+                firstOverflow = endIndex;
+                break;
+              }
+              lastFit = endIndex;
+              partBytes = bytes;
+              step *= 2;
+            }
+            while (firstOverflow - lastFit > 1) {
+              const endIndex = Math.floor((lastFit + firstOverflow) / 2);
+              const bytes = await savePages(startIndex, endIndex);
+              if (bytes.length > limit) {
+                firstOverflow = endIndex;
+              } else {
+                lastFit = endIndex;
+                partBytes = bytes;
+              }
+            }
+          }
+
+          const startPage = startIndex + 1;
+          const endPage = lastFit + 1;
+          results.push({
+            buffer: partBytes,
+            filename: `${fileName}_part_${partNumber}.pdf`,
+            pageRange: startPage === endPage ? `Page ${startPage}` : `Pages ${startPage}-${endPage}`,
+            pageCount: endPage - startPage + 1,
+            size: partBytes.length,
+            oversized: partBytes.length > limit
+          });
+
+          partNumber++;
+          startIndex = lastFit + 1;
+        }
       } else {
         throw new Error(`Invalid split type: ${splitType}`);
       }
@@ -311,123 +2336,821 @@ class PDFService {
    * Add headers and footers to PDF
    * @param {Buffer} pdfBuffer - PDF file buffer
    * @param {Object} headerFooterData - Header and footer configuration
+   * @param {Object} assets - Optional uploaded files: font ({ name, buffer }) and images keyed by slot ({ name, buffer })
    * @returns {Promise<Uint8Array>} Processed PDF bytes
    */
-  static async addHeaderFooterToPDF(pdfBuffer, headerFooterData) {
+  static async addHeaderFooterToPDF(pdfBuffer, headerFooterData, assets = {}) {
     try {
       // Load PDF document
       const pdfDoc = await PDFDocument.load(pdfBuffer);
-      const pages = pdfDoc.getPages();
-      const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
-      
-      // Extract configuration
-      const {
-        leftHeader = '',
-        middleHeader = '',
-        rightHeader = '',
-        leftFooter = '',
-        middleFooter = '',
-        rightFooter = '',
-        startPage = 1,
-        coverWithWhite = false,
-        textColor = '#000000',
-        fontSize = 10
-      } = headerFooterData;
-
-      // Convert color and size
-      const textColorRgb = this.hexToRgb(textColor);
-      const textSize = parseInt(fontSize) || 10;
-      
-      // Page positioning constants
-      const headerY = 750; // Near top of page
-      const footerY = 50;  // Near bottom of page
-      const leftMargin = 50;
+      await this.stampHeaderFooter(pdfDoc, headerFooterData, assets);
 
-      // Process each page starting from the first page (i=0)
-      for (let i = 0; i < pages.length; i++) {
-        const page = pages[i];
-        const { width } = page.getSize();
-        // Page numbering: startPage + i gives us the page number to display (e.g., if startPage=20, first page shows 20, second shows 21, etc.)
-        const currentPageNum = startPage + i;
-        
-        // Add white background if requested
-        if (coverWithWhite) {
-          this.addWhiteBackground(page, headerY, width);
-          this.addWhiteBackground(page, footerY, width);
-        }
+      return await pdfDoc.save();
+    } catch (error) {
+      throw new Error(`PDF processing failed: ${error.message}`);
+    }
+  }
 
-        // Text styling options
-        const textOptions = {
-          size: textSize,
-          font,
-          color: rgb(textColorRgb.r, textColorRgb.g, textColorRgb.b)
-        };
+  /**
+   * Add headers and footers to several PDFs, continuing Bates numbers from one file to the next
+   * @param {Array<Object>} files - Array of { buffer, name } objects in numbering order
+   * @param {Object} headerFooterData - Header and footer configuration
+   * @param {Object} assets - Optional uploaded files shared by all documents (see addHeaderFooterToPDF)
+   * @returns {Promise<Array>} Array of processed PDF buffers with their Bates ranges
+   */
+  static async addHeaderFooterToPDFs(files, headerFooterData, assets = {}) {
+    try {
+      const results = [];
+      let nextBatesNumber = parseInt(headerFooterData.batesStart || headerFooterData.startPage) || 1;
+
+      for (let i = 0; i < files.length; i++) {
+        const { buffer, name } = files[i];
+        const pdfDoc = await PDFDocument.load(buffer);
+        const stampInfo = await this.stampHeaderFooter(pdfDoc, {
+          ...headerFooterData,
+          fileName: name,
+          batesStart: nextBatesNumber
+        }, assets);
+        nextBatesNumber = stampInfo.lastBatesNumber + 1;
+
+        const baseName = name.replace(/\.pdf$/i, '');
+        const pdfBytes = await pdfDoc.save();
+        results.push({
+          buffer: Buffer.from(pdfBytes),
+          filename: headerFooterData.batesNumbering
+            ? `${baseName}_${stampInfo.batesStart}-${stampInfo.batesEnd}.pdf`
+            : `${baseName}_processed.pdf`,
+          originalName: name,
+          pageCount: stampInfo.pageCount,
+          batesStart: stampInfo.batesStart,
+          batesEnd: stampInfo.batesEnd
+        });
+      }
 
-        // Process and add headers
-        if (leftHeader) {
-          const processedText = this.processTemplate(leftHeader, currentPageNum, pages.length);
-          this.addTextToPage(page, processedText, {
-            ...textOptions,
-            x: leftMargin,
-            y: headerY
-          });
+      return results;
+    } catch (error) {
+      throw new Error(`PDF processing failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Format a page number in the given numbering style
+   * Letters follow the PDF page label convention: a-z, then aa-zz, aaa-zzz
+   * @param {number} number - Page number to format
+   * @param {string} style - 'arabic', 'lower-roman', 'upper-roman', 'lower-alpha', 'upper-alpha' or 'zero-padded'
+   * @param {number} padding - Minimum digits for the 'zero-padded' style
+   * @returns {string} Formatted page number
+   */
+  static formatPageNumber(number, style = 'arabic', padding = 3) {
+    // Roman numerals and letters have no zero or negative values
+    if (number < 1 && style !== 'arabic' && style !== 'zero-padded') {
+      return number.toString();
+    }
+
+    switch (style) {
+      case 'lower-roman':
+      case 'upper-roman': {
+        const numerals = [
+          [1000, 'm'], [900, 'cm'], [500, 'd'], [400, 'cd'], [100, 'c'], [90, 'xc'],
+          [50, 'l'], [40, 'xl'], [10, 'x'], [9, 'ix'], [5, 'v'], [4, 'iv'], [1, 'i']
+        ];
+        let remaining = number;
+        let roman = '';
+        numerals.forEach(([value, numeral]) => {
+          while (remaining >= value) {
+            roman += numeral;
+            remaining -= value;
+          }
+        });
+        return style === 'upper-roman' ? roman.toUpperCase() : roman;
+      }
+      case 'lower-alpha':
+      case 'upper-alpha': {
+        const letter = String.fromCharCode(97 + ((number - 1) % 26));
+        const letters = letter.repeat(Math.ceil(number / 26));
+        return style === 'upper-alpha' ? letters.toUpperCase() : letters;
+      }
+      case 'zero-padded':
+        return number.toString().padStart(parseInt(padding) || 0, '0');
+      case 'arabic':
+      default:
+        return number.toString();
+    }
+  }
+
+  /**
+   * Work out the number and numbering style that apply to a page
+   * Ranges switch numbering style, prefix and start value from a given page onwards
+   * @param {number} pageIndex - Zero-based page index
+   * @param {Object} numbering - startPage, numberStyle, numberPadding, numberingRanges and
+   *   optionally countedBefore (pages that count toward numbering before each index)
+   * @returns {Object} number, style, prefix and padding for the page
+   */
+  static getPageNumbering(pageIndex, numbering) {
+    const { startPage = 1, numberStyle = 'arabic', numberPadding = 3, numberingRanges = [], countedBefore } = numbering;
+    const pagePosition = pageIndex + 1;
+    // Without a skip list every page counts, so the offset is the page index itself
+    const offsetOf = (index) => countedBefore ? countedBefore[index] : index;
+
+    // The range that applies is the last one starting on or before this page
+    const range = numberingRanges
+      .filter(candidate => parseInt(candidate.fromPage) <= pagePosition)
+      .sort((a, b) => parseInt(a.fromPage) - parseInt(b.fromPage))
+      .pop();
+
+    if (!range) {
+      return {
+        number: (parseInt(startPage) || 1) + offsetOf(pageIndex),
+        style: numberStyle,
+        prefix: '',
+        padding: numberPadding
+      };
+    }
+
+    const rangeStart = parseInt(range.start);
+    return {
+      number: (Number.isFinite(rangeStart) ? rangeStart : 1) + offsetOf(pageIndex) - offsetOf(parseInt(range.fromPage) - 1),
+      style: range.style || 'arabic',
+      prefix: range.prefix || '',
+      padding: range.padding || numberPadding
+    };
+  }
+
+  /**
+   * Work out the page number label shown on a page
+   * @param {number} pageIndex - Zero-based page index
+   * @param {Object} numbering - Numbering settings, as for getPageNumbering
+   * @returns {string} Page number label (e.g., 'iv' or 'A-2')
+   */
+  static getPageNumberLabel(pageIndex, numbering) {
+    const { number, style, prefix, padding } = this.getPageNumbering(pageIndex, numbering);
+    return `${prefix}${this.formatPageNumber(number, style, padding)}`;
+  }
+
+  /**
+   * Write a /PageLabels number tree so viewers show the same numbers as the stamped pages
+   * Pages left out of the numbering (see countedBefore) get an empty label. PDF labels have
+   * no zero-padded style, so the leading zeros are written as part of the label prefix.
+   * @param {PDFDocument} pdfDoc - Loaded PDF document, modified in place
+   * @param {Object} numbering - Numbering settings, as for getPageNumbering
+   */
+  static setPageLabels(pdfDoc, numbering) {
+    const { countedBefore } = numbering;
+    const pageCount = pdfDoc.getPageCount();
+    const labelStyles = {
+      'arabic': 'D',
+      'zero-padded': 'D',
+      'lower-roman': 'r',
+      'upper-roman': 'R',
+      'lower-alpha': 'a',
+      'upper-alpha': 'A'
+    };
+
+    // Work out each page's label, then start a new label range wherever a page
+    // doesn't simply continue the numbering of the page before it
+    const nums = [];
+    let previous = null;
+    for (let pageIndex = 0; pageIndex < pageCount; pageIndex++) {
+      let label;
+      if (countedBefore && countedBefore[pageIndex + 1] === countedBefore[pageIndex]) {
+        label = { counted: false };
+      } else {
+        const { number, style, prefix, padding } = this.getPageNumbering(pageIndex, numbering);
+        if (number < 1) {
+          // Label numbering starts at 1, so lower numbers are written out as a prefix only
+          label = { counted: true, prefix: `${prefix}${this.formatPageNumber(number, style, padding)}` };
+        } else {
+          const zeros = style === 'zero-padded'
+            ? '0'.repeat(Math.max(0, (parseInt(padding) || 0) - number.toString().length))
+            : '';
+          label = { counted: true, S: labelStyles[style] || 'D', prefix: `${prefix}${zeros}`, number };
         }
+      }
 
-        if (middleHeader) {
-          const processedText = this.processTemplate(middleHeader, currentPageNum, pages.length);
-          const centerX = this.getCenterPosition(font, processedText, textSize, width);
-          this.addTextToPage(page, processedText, {
-            ...textOptions,
-            x: centerX,
-            y: headerY
-          });
+      const continues = previous && previous.counted === label.counted && (!label.counted || (
+        label.S && previous.S === label.S && previous.prefix === label.prefix && previous.number + 1 === label.number
+      ));
+      if (!continues) {
+        const entry = { Type: 'PageLabel' };
+        if (label.S) {
+          entry.S = label.S;
+          entry.St = label.number;
         }
+        if (label.prefix) {
+          entry.P = PDFHexString.fromText(label.prefix);
+        }
+        nums.push(pageIndex, pdfDoc.context.obj(entry));
+      }
+      previous = label;
+    }
+
+    pdfDoc.catalog.set(PDFName.of('PageLabels'), pdfDoc.context.obj({ Nums: nums }));
+  }
+
+  /**
+   * Add page labels to PDF
+   * @param {Buffer} pdfBuffer - PDF file buffer
+   * @param {Object} pageLabelsData - startPage, numberStyle and numberingRanges
+   * @returns {Promise<Uint8Array>} Processed PDF bytes
+   */
+  static async addPageLabelsToPDF(pdfBuffer, pageLabelsData) {
+    try {
+      const pdfDoc = await PDFDocument.load(pdfBuffer);
+      this.setPageLabels(pdfDoc, {
+        ...pageLabelsData,
+        numberingRanges: Array.isArray(pageLabelsData.numberingRanges) ? pageLabelsData.numberingRanges : []
+      });
+
+      return await pdfDoc.save();
+    } catch (error) {
+      throw new Error(`Page label processing failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Format a Bates number (e.g., ACME-000123)
+   * @param {number} number - Bates counter value
+   * @param {Object} options - prefix, suffix and digits (zero padding width)
+   * @returns {string} Formatted Bates number
+   */
+  static formatBatesNumber(number, options = {}) {
+    const { prefix = '', suffix = '', digits = 6 } = options;
+    return `${prefix}${number.toString().padStart(parseInt(digits) || 0, '0')}${suffix}`;
+  }
 
-        if (rightHeader) {
-          const processedText = this.processTemplate(rightHeader, currentPageNum, pages.length);
-          const rightX = this.getRightPosition(font, processedText, textSize, width);
-          this.addTextToPage(page, processedText, {
-            ...textOptions,
-            x: rightX,
-            y: headerY
+  /**
+   * Strip link markup from a line of text, remembering where each link is
+   * @param {string} text - Text that may contain [text](target) links
+   * @returns {Object} Plain text and its links ({ start, end, target } character ranges)
+   */
+  static parseLinkMarkup(text) {
+    const links = [];
+    let plainText = '';
+    let lastIndex = 0;
+
+    text.replace(LINK_MARKUP_PATTERN, (match, linkText, target, offset) => {
+      plainText += text.slice(lastIndex, offset);
+      links.push({ start: plainText.length, end: plainText.length + linkText.length, target });
+      plainText += linkText;
+      lastIndex = offset + match.length;
+      return match;
+    });
+
+    return { text: plainText + text.slice(lastIndex), links };
+  }
+
+  /**
+   * Keep the parts of link ranges that fall within a slice of a line, relative to the slice
+   * @param {Array<Object>} links - Link ranges ({ start, end, target })
+   * @param {number} start - Slice start offset
+   * @param {number} end - Slice end offset
+   * @returns {Array<Object>} Link ranges within the slice
+   */
+  static sliceLinks(links, start, end) {
+    return links
+      .filter(link => link.end > start && link.start < end)
+      .map(link => ({
+        start: Math.max(link.start, start) - start,
+        end: Math.min(link.end, end) - start,
+        target: link.target
+      }));
+  }
+
+  /**
+   * Add a Link annotation over an area of the displayed page
+   * Targets are web or mailto URLs, or #page=N to jump to page N of the same document.
+   * @param {PDFDocument} pdfDoc - PDF document
+   * @param {Object} page - PDF page object
+   * @param {Object} layout - Page layout from getPageLayout
+   * @param {Object} area - x, y, width and height on the displayed page
+   * @param {string} target - Link target
+   */
+  static addLinkAnnotation(pdfDoc, page, layout, area, target) {
+    const corner1 = this.toPageCoordinates(layout, area.x, area.y);
+    const corner2 = this.toPageCoordinates(layout, area.x + area.width, area.y + area.height);
+    let action;
+
+    const pageMatch = target.match(/^#page=(\d+)$/);
+    if (pageMatch) {
+      const targetPage = parseInt(pageMatch[1]);
+      if (targetPage < 1 || targetPage > pdfDoc.getPageCount()) {
+        throw new Error(`Invalid link page: ${targetPage}`);
+      }
+      action = {
+        S: 'GoTo',
+        D: [pdfDoc.getPage(targetPage - 1).ref, 'XYZ', null, null, null]
+      };
+    } else {
+      // URIs are ASCII; a hex string avoids escaping parentheses
+      action = {
+        S: 'URI',
+        URI: PDFHexString.of(Buffer.from(target, 'latin1').toString('hex'))
+      };
+    }
+
+    const annotation = pdfDoc.context.obj({
+      Type: 'Annot',
+      Subtype: 'Link',
+      Rect: [
+        Math.min(corner1.x, corner2.x),
+        Math.min(corner1.y, corner2.y),
+        Math.max(corner1.x, corner2.x),
+        Math.max(corner1.y, corner2.y)
+      ],
+      Border: [0, 0, 0],
+      A: action,
+      [STAMP_TAG]: 'header-footer'
+    });
+    page.node.addAnnot(pdfDoc.context.register(annotation));
+  }
+
+  /**
+   * Swap the left and right header/footer slots of a slot map (used for mirrored even pages)
+   * @param {Object} slotMap - Values keyed by slot name
+   * @returns {Object} Copy with left and right slots exchanged
+   */
+  static mirrorSlots(slotMap) {
+    return {
+      ...slotMap,
+      leftHeader: slotMap.rightHeader,
+      rightHeader: slotMap.leftHeader,
+      leftFooter: slotMap.rightFooter,
+      rightFooter: slotMap.leftFooter
+    };
+  }
+
+  /**
+   * Width of the widest text line in a header/footer slot block
+   * @param {Object} block - Slot block with lines, font and size
+   * @returns {number} Text width in points
+   */
+  static getTextBlockWidth(block) {
+    return Math.max(0, ...block.lines.map(line => block.font.widthOfTextAtSize(line, block.size)));
+  }
+
+  /**
+   * Width of a header/footer slot block, including its image
+   * @param {Object} block - Slot block with lines, font, size and optional image
+   * @returns {number} Block width in points
+   */
+  static getSlotBlockWidth(block) {
+    const textWidth = this.getTextBlockWidth(block);
+    if (!block.image) {
+      return textWidth;
+    }
+    return block.image.width + (block.lines.length > 0 ? SLOT_IMAGE_GAP : 0) + textWidth;
+  }
+
+  /**
+   * Work out how wide each slot on a header or footer line may be without overlapping its neighbours
+   * A short slot leaves the remaining space to the others; the centered slot keeps
+   * at least a third of the line when both sides are long.
+   * @param {Object} widths - Natural block widths keyed by alignment (left, center, right); empty slots omitted
+   * @param {number} contentWidth - Width between the left and right margins
+   * @returns {Object} Maximum widths keyed by alignment
+   */
+  static getSlotWidthLimits(widths, contentWidth) {
+    const hasLeft = widths.left !== undefined;
+    const hasRight = widths.right !== undefined;
+
+    if (widths.center === undefined) {
+      const half = (contentWidth - SLOT_COLLISION_GAP) / 2;
+      return {
+        left: hasRight ? contentWidth - SLOT_COLLISION_GAP - Math.min(widths.right, half) : contentWidth,
+        right: hasLeft ? contentWidth - SLOT_COLLISION_GAP - Math.min(widths.left, half) : contentWidth
+      };
+    }
+
+    if (!hasLeft && !hasRight) {
+      return { center: contentWidth };
+    }
+
+    const sideWidth = Math.max(widths.left || 0, widths.right || 0);
+    const centerLimit = Math.max(
+      (contentWidth - 2 * SLOT_COLLISION_GAP) / 3,
+      contentWidth - 2 * (sideWidth + SLOT_COLLISION_GAP)
+    );
+    const sideLimit = (contentWidth - Math.min(widths.center, centerLimit)) / 2 - SLOT_COLLISION_GAP;
+
+    return { left: sideLimit, center: centerLimit, right: sideLimit };
+  }
+
+  /**
+   * Shrink or wrap the text of slot blocks that would overlap a neighbouring slot
+   * @param {Array<Object>} blocks - Slot blocks on one header or footer line, modified in place
+   * @param {number} contentWidth - Width between the left and right margins
+   * @param {Object} options - overflow ('shrink', 'wrap' or 'none') and minFontSize
+   */
+  static fitSlotBlocks(blocks, contentWidth, options) {
+    const { overflow = 'shrink', minFontSize = 6 } = options;
+    if (overflow === 'none' || blocks.length === 0) {
+      return;
+    }
+
+    const widths = {};
+    blocks.forEach(block => {
+      widths[block.slot.align] = this.getSlotBlockWidth(block);
+    });
+    const limits = this.getSlotWidthLimits(widths, contentWidth);
+
+    blocks.forEach(block => {
+      const textWidth = this.getTextBlockWidth(block);
+      const imageWidth = block.image ? block.image.width + SLOT_IMAGE_GAP : 0;
+      const textLimit = Math.max(0, limits[block.slot.align] - imageWidth);
+      if (textWidth === 0 || textWidth <= textLimit) {
+        return;
+      }
+
+      if (overflow === 'wrap') {
+        // Wrapping only replaces spaces with line breaks, so link ranges can follow the text
+        const lines = [];
+        const links = [];
+        block.lines.forEach((line, index) => {
+          let offset = 0;
+          this.wrapText(line, block.font, block.size, textLimit).forEach(part => {
+            lines.push(part);
+            links.push(this.sliceLinks(block.links[index] || [], offset, offset + part.length));
+            offset += part.length + 1;
           });
+        });
+        block.lines = lines;
+        block.links = links;
+      } else {
+        block.size = Math.max(this.toNumber(minFontSize, 6), block.size * textLimit / textWidth);
+      }
+    });
+  }
+
+  /**
+   * Draw headers and footers on every page of a loaded document
+   * @param {PDFDocument} pdfDoc - Loaded PDF document, modified in place
+   * @param {Object} headerFooterData - Header and footer configuration
+   * @param {Object} assets - Optional uploaded files: font ({ name, buffer }) and images keyed by slot ({ name, buffer })
+   * @returns {Promise<Object>} Page count and the Bates range that was used
+   */
+  static async stampHeaderFooter(pdfDoc, headerFooterData, assets = {}) {
+    const pages = pdfDoc.getPages();
+    
+    // Extract configuration
+    const {
+      startPage = 1,
+      coverWithWhite = false,
+      textColor = '#000000',
+      fontSize = 10,
+      topMargin = 30,
+      bottomMargin = 50,
+      leftMargin = 50,
+      rightMargin = 50,
+      fileName = '',
+      dateFormat = 'YYYY-MM-DD',
+      timeFormat = 'HH:mm',
+      timeZone = '',
+      batesNumbering = false,
+      batesPrefix = '',
+      batesSuffix = '',
+      batesDigits = 6,
+      batesStart = startPage,
+      batesPosition = 'rightFooter',
+      numberStyle = 'arabic',
+      numberPadding = 3,
+      numberingRanges = [],
+      writePageLabels = false,
+      oddEvenLayout = 'same',
+      evenPages = {},
+      applyToPages = '',
+      excludePages = '',
+      countSkippedPages = true,
+      imageOptions = {},
+      slotStyles = {},
+      lineSpacing = 1.2,
+      overflow = 'shrink',
+      minFontSize = 6,
+      headerRule = false,
+      footerRule = false,
+      ruleColor = textColor,
+      ruleThickness = 0.5,
+      ruleGap = 6,
+      whiteOutMode = 'band',
+      whiteOutColor = '#ffffff',
+      whiteOutPadding = 2,
+      whiteOutHeaderBand = 72,
+      whiteOutFooterBand = 72
+    } = headerFooterData;
+
+    // Convert color and size
+    const textSize = parseInt(fontSize) || 10;
+    const lineHeightFactor = this.toNumber(lineSpacing, 1.2);
+    // Pages to stamp: the applyToPages selection (all pages when empty) minus excludePages
+    const selectedPages = applyToPages && String(applyToPages).trim() !== ''
+      ? this.parsePageRanges(applyToPages, pages.length)
+      : new Set(pages.map((_, index) => index));
+    this.parsePageRanges(excludePages, pages.length).forEach(index => selectedPages.delete(index));
+
+    // When skipped pages don't count, numbering only advances on stamped pages
+    const countedBefore = [];
+    let countedPages = 0;
+    for (let i = 0; i <= pages.length; i++) {
+      countedBefore.push(countedPages);
+      if (countSkippedPages || selectedPages.has(i)) {
+        countedPages++;
+      }
+    }
+    const totalPages = countSkippedPages ? pages.length : selectedPages.size;
+
+    const numbering = {
+      startPage,
+      numberStyle,
+      numberPadding,
+      numberingRanges: Array.isArray(numberingRanges) ? numberingRanges : [],
+      countedBefore
+    };
+    const firstBatesNumber = parseInt(batesStart) || 1;
+    const batesOptions = { prefix: batesPrefix, suffix: batesSuffix, digits: batesDigits };
+
+    // Slot text keyed by slot name; Bates mode fills its slot when left empty
+    const slotTexts = {};
+    HEADER_FOOTER_SLOTS.forEach(slot => {
+      slotTexts[slot.key] = headerFooterData[slot.key] || '';
+    });
+    if (batesNumbering && slotTexts[batesPosition] === '') {
+      slotTexts[batesPosition] = '(bates)';
+    }
+
+    // Each slot has its own font size, color and bold/italic variant of the chosen font
+    const embeddedFonts = {};
+    const resolvedStyles = {};
+    for (const slot of HEADER_FOOTER_SLOTS) {
+      const style = (slotStyles && slotStyles[slot.key]) || {};
+      const fontName = await FontService.getStyledFontName(headerFooterData.fontName, style, assets.font);
+      if (!embeddedFonts[fontName]) {
+        embeddedFonts[fontName] = await FontService.embedFont(pdfDoc, fontName, assets.font);
+      }
+
+      const color = this.hexToRgb(style.color || textColor);
+      resolvedStyles[slot.key] = {
+        font: embeddedFonts[fontName],
+        size: this.toNumber(style.fontSize, textSize),
+        color: rgb(color.r, color.g, color.b)
+      };
+    }
+
+    // Slot images are embedded once and scaled to their target height, keeping the aspect ratio
+    const slotImages = {};
+    for (const slot of HEADER_FOOTER_SLOTS) {
+      const image = assets.images && assets.images[slot.key];
+      if (!image) {
+        continue;
+      }
+
+      const embeddedImage = await this.embedImage(pdfDoc, image);
+      const options = (imageOptions && imageOptions[slot.key]) || {};
+      const height = this.toNumber(options.height, 24);
+      slotImages[slot.key] = {
+        image: embeddedImage,
+        width: embeddedImage.width * height / embeddedImage.height,
+        height,
+        // before/after the slot text, or replace it
+        placement: options.placement || 'before'
+      };
+    }
+
+    // Even pages either mirror the odd layout (outer-edge numbering for duplex printing)
+    // or use their own slot texts; page parity follows the physical page position
+    let evenSlotTexts = slotTexts;
+    let evenSlotImages = slotImages;
+    let evenSlotStyles = resolvedStyles;
+    if (oddEvenLayout === 'mirror') {
+      evenSlotTexts = this.mirrorSlots(slotTexts);
+      evenSlotImages = this.mirrorSlots(slotImages);
+      evenSlotStyles = this.mirrorSlots(resolvedStyles);
+    } else if (oddEvenLayout === 'separate') {
+      evenSlotTexts = {};
+      HEADER_FOOTER_SLOTS.forEach(slot => {
+        evenSlotTexts[slot.key] = (evenPages && evenPages[slot.key]) || '';
+      });
+      if (batesNumbering && evenSlotTexts[batesPosition] === '') {
+        evenSlotTexts[batesPosition] = '(bates)';
+      }
+    }
+
+    // Margins are measured in points from the edges of each page's visible area
+    const margins = {
+      top: this.toNumber(topMargin, 30),
+      bottom: this.toNumber(bottomMargin, 50),
+      left: this.toNumber(leftMargin, 50),
+      right: this.toNumber(rightMargin, 50)
+    };
+    const whiteOutColorRgb = this.hexToRgb(whiteOutColor);
+    const whiteOut = {
+      color: rgb(whiteOutColorRgb.r, whiteOutColorRgb.g, whiteOutColorRgb.b),
+      padding: this.toNumber(whiteOutPadding, 2),
+      bands: {
+        header: this.toNumber(whiteOutHeaderBand, 72),
+        footer: this.toNumber(whiteOutFooterBand, 72)
+      }
+    };
+    const ruleColorRgb = this.hexToRgb(ruleColor);
+    const ruleOptions = {
+      thickness: this.toNumber(ruleThickness, 0.5),
+      color: rgb(ruleColorRgb.r, ruleColorRgb.g, ruleColorRgb.b)
+    };
+
+    // Document-level template values, resolved once and shared by every page
+    const now = new Date();
+    const templateContext = {
+      fileName: fileName || 'Document',
+      title: pdfDoc.getTitle() || '',
+      author: pdfDoc.getAuthor() || '',
+      subject: pdfDoc.getSubject() || '',
+      date: this.formatDateTime(now, dateFormat, timeZone),
+      time: this.formatDateTime(now, timeFormat, timeZone),
+      sections: this.getSectionCount(pdfDoc)
+    };
+
+    // Process each selected page starting from the first page (i=0)
+    for (let i = 0; i < pages.length; i++) {
+      if (!selectedPages.has(i)) {
+        continue;
+      }
+
+      const page = pages[i];
+      // Pages can differ in size and rotation, so positions are measured on each page as displayed
+      const layout = this.getPageLayout(page);
+      const headerTop = layout.height - margins.top;
+      const footerY = margins.bottom;
+      const contentWidth = layout.width - margins.left - margins.right;
+      // Page numbering: startPage + i gives us the page number to display (e.g., if startPage=20, first page shows 20, second shows 21, etc.)
+      // unless a numbering range restyles this page (e.g., i, ii, iii for front matter)
+      const currentPageNum = this.getPageNumberLabel(i, numbering);
+      const isEvenPage = (i + 1) % 2 === 0;
+      const pageSlotTexts = isEvenPage ? evenSlotTexts : slotTexts;
+      const pageSlotImages = isEvenPage ? evenSlotImages : slotImages;
+      const pageSlotStyles = isEvenPage ? evenSlotStyles : resolvedStyles;
+      const pageContext = {
+        ...templateContext,
+        bates: this.formatBatesNumber(firstBatesNumber + countedBefore[i], batesOptions)
+      };
+
+      // Build a block per filled slot: template lines (split on \n) with their links, style and optional image
+      const blocks = [];
+      for (const slot of HEADER_FOOTER_SLOTS) {
+        const image = pageSlotImages[slot.key];
+        const hasText = Boolean(pageSlotTexts[slot.key]) && !(image && image.placement === 'replace');
+        if (!hasText && !image) {
+          continue;
         }
 
-        // Process and add footers
-        if (leftFooter) {
-          const processedText = this.processTemplate(leftFooter, currentPageNum, pages.length);
-          this.addTextToPage(page, processedText, {
-            ...textOptions,
-            x: leftMargin,
-            y: footerY
-          });
+        const parsedLines = hasText
+          ? this.processTemplate(pageSlotTexts[slot.key], currentPageNum, totalPages, pageContext)
+            .split(/\r?\n/)
+            .map(line => this.parseLinkMarkup(line))
+          : [];
+        blocks.push({
+          slot,
+          image,
+          ...pageSlotStyles[slot.key],
+          lines: parsedLines.map(line => line.text),
+          links: parsedLines.map(line => line.links)
+        });
+      }
+
+      // Shrink or wrap text that would run into a neighbouring slot
+      this.fitSlotBlocks(blocks.filter(block => block.slot.band === 'header'), contentWidth, { overflow, minFontSize });
+      this.fitSlotBlocks(blocks.filter(block => block.slot.band === 'footer'), contentWidth, { overflow, minFontSize });
+
+      // Header lines run down from the top margin; footer lines stack up to the bottom margin
+      let headerBottom = headerTop - textSize;
+      let footerTop = footerY + textSize;
+      blocks.forEach(block => {
+        const lineHeight = block.size * lineHeightFactor;
+        block.baselines = block.lines.map((_, index) => (block.slot.band === 'header'
+          ? headerTop - block.size - index * lineHeight
+          : footerY + (block.lines.length - 1 - index) * lineHeight));
+
+        if (block.slot.band === 'header') {
+          headerBottom = Math.min(headerBottom, ...block.baselines,
+            block.image ? headerTop - block.image.height : headerBottom);
+        } else {
+          footerTop = Math.max(footerTop, ...block.baselines.map(baseline => baseline + block.size),
+            block.image ? footerY + block.image.height : footerTop);
         }
+      });
+
+      this.beginStamp(page, 'header-footer');
+
+      // Cover old headers and footers if requested: 'smart' masks just the content found in the
+      // header and footer bands, 'band' covers full-width strips tall enough for the new text and images
+      if (coverWithWhite && whiteOutMode === 'smart') {
+        this.findHeaderFooterContent(page, layout, whiteOut.bands).forEach(area => {
+          this.addMaskToPage(page, layout, {
+            x: area.x - whiteOut.padding,
+            y: area.y - whiteOut.padding,
+            width: area.width + 2 * whiteOut.padding,
+            height: area.height + 2 * whiteOut.padding
+          }, whiteOut.color);
+        });
+      } else if (coverWithWhite) {
+        const backgroundHeight = Math.max(20, textSize + 10);
+        this.addWhiteBackground(page, layout, headerBottom,
+          Math.max(backgroundHeight, headerTop - headerBottom + 10), whiteOut.color);
+        this.addWhiteBackground(page, layout, footerY,
+          Math.max(backgroundHeight, footerTop - footerY + 10), whiteOut.color);
+      }
+
+      // Separator rules under the header and above the footer, across the content width
+      if (headerRule) {
+        this.addRuleToPage(page, layout, margins.left, layout.width - margins.right, headerBottom - ruleGap, ruleOptions);
+      }
+      if (footerRule) {
+        this.addRuleToPage(page, layout, margins.left, layout.width - margins.right, footerTop + ruleGap, ruleOptions);
+      }
+
+      // Draw each block: image and text are aligned together, every line on its own
+      for (const block of blocks) {
+        const textWidth = this.getTextBlockWidth(block);
+        const gap = block.image && block.lines.length > 0 ? SLOT_IMAGE_GAP : 0;
+        const blockWidth = (block.image ? block.image.width + gap : 0) + textWidth;
+        const alignX = (width) => {
+          if (block.slot.align === 'center') {
+            return margins.left + (contentWidth - width) / 2;
+          }
+          if (block.slot.align === 'right') {
+            return layout.width - margins.right - width;
+          }
+          return margins.left;
+        };
+
+        const blockX = alignX(blockWidth);
+        let textX = blockX;
+        if (block.image) {
+          const imageAfterText = block.lines.length > 0 && block.image.placement === 'after';
+          if (!imageAfterText) {
+            textX = blockX + block.image.width + gap;
+          }
 
-        if (middleFooter) {
-          const processedText = this.processTemplate(middleFooter, currentPageNum, pages.length);
-          const centerX = this.getCenterPosition(font, processedText, textSize, width);
-          this.addTextToPage(page, processedText, {
-            ...textOptions,
-            x: centerX,
-            y: footerY
+          // Header images hang from the top margin; footer images sit on the bottom margin
+          this.addImageToPage(page, block.image.image, {
+            x: imageAfterText ? blockX + textWidth + gap : blockX,
+            y: block.slot.band === 'header' ? headerTop - block.image.height : footerY,
+            width: block.image.width,
+            height: block.image.height,
+            layout
           });
         }
 
-        if (rightFooter) {
-          const processedText = this.processTemplate(rightFooter, currentPageNum, pages.length);
-          const rightX = this.getRightPosition(font, processedText, textSize, width);
-          this.addTextToPage(page, processedText, {
-            ...textOptions,
-            x: rightX,
-            y: footerY
+        block.lines.forEach((line, index) => {
+          if (!line) {
+            return;
+          }
+
+          // Lines share the block's edge: left- and right-aligned text lines up with the image,
+          // centered lines are centered within the text column
+          const lineWidth = block.font.widthOfTextAtSize(line, block.size);
+          let x = textX;
+          if (block.slot.align === 'center') {
+            x = textX + (textWidth - lineWidth) / 2;
+          } else if (block.slot.align === 'right') {
+            x = textX + textWidth - lineWidth;
+          }
+
+          this.addTextToPage(page, line, {
+            x,
+            y: block.baselines[index],
+            size: block.size,
+            font: block.font,
+            color: block.color,
+            layout
           });
-        }
+
+          // Links cover their text from just below the baseline to the top of the glyphs
+          (block.links[index] || []).forEach(link => {
+            const linkX = x + block.font.widthOfTextAtSize(line.slice(0, link.start), block.size);
+            this.addLinkAnnotation(pdfDoc, page, layout, {
+              x: linkX,
+              y: block.baselines[index] - block.size * 0.25,
+              width: block.font.widthOfTextAtSize(line.slice(link.start, link.end), block.size),
+              height: block.size * 1.05
+            }, link.target);
+          });
+        });
       }
 
-      return await pdfDoc.save();
-    } catch (error) {
-      throw new Error(`PDF processing failed: ${error.message}`);
+      page.pushOperators(endMarkedContent());
     }
+
+    // Match the viewer's page navigation to the stamped numbers
+    if (writePageLabels) {
+      this.setPageLabels(pdfDoc, numbering);
+    }
+
+    const lastBatesNumber = firstBatesNumber + countedBefore[pages.length] - 1;
+    return {
+      pageCount: pages.length,
+      firstBatesNumber,
+      lastBatesNumber,
+      batesStart: this.formatBatesNumber(firstBatesNumber, batesOptions),
+      batesEnd: this.formatBatesNumber(lastBatesNumber, batesOptions)
+    };
   }
 
   /**
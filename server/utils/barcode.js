@@ -0,0 +1,128 @@
+/**
+ * Barcode Utilities
+ * Encode QR codes and Code 128 barcodes as module patterns the PDF service can draw
+ */
+
+const QRCode = require('qrcode');
+
+// Bar/space widths of Code 128 symbols 0-106, starting with a bar (106 is the stop pattern)
+const CODE128_PATTERNS = [
+  '212222', '222122', '222221', '121223', '121322', '131222', '122213', '122312', '132212', '221213',
+  '221312', '231212', '112232', '122132', '122231', '113222', '123122', '123221', '223211', '221132',
+  '221231', '213212', '223112', '312131', '311222', '321122', '321221', '312212', '322112', '322211',
+  '212123', '212321', '232121', '111323', '131123', '131321', '112313', '132113', '132311', '211313',
+  '231113', '231311', '112133', '112331', '132131', '113123', '113321', '133121', '313121', '211331',
+  '231131', '213113', '213311', '213131', '311123', '311321', '331121', '312113', '312311', '332111',
+  '314111', '221411', '431111', '111224', '111422', '121124', '121421', '141122', '141221', '112214',
+  '112412', '122114', '122411', '142112', '142211', '241211', '221114', '413111', '241112', '134111',
+  '111242', '121142', '121241', '114212', '124112', '124211', '411212', '421112', '421211', '212141',
+  '214121', '412121', '111143', '111341', '131141', '114113', '114311', '411113', '411311', '113141',
+  '114131', '311141', '411131', '211412', '211214', '211232', '2331112'
+];
+
+const CODE128_SWITCH_C = 99;
+const CODE128_SWITCH_B = 100;
+const CODE128_START_B = 104;
+const CODE128_START_C = 105;
+const CODE128_STOP = 106;
+
+const QR_ERROR_CORRECTION_LEVELS = ['L', 'M', 'Q', 'H'];
+
+/**
+ * Count the digits at the start of a piece of text
+ * @param {string} text - Text to look at
+ * @param {number} start - Index to start counting from
+ * @returns {number} Number of consecutive digits
+ */
+const countDigits = (text, start) => {
+  let end = start;
+  while (end < text.length && text[end] >= '0' && text[end] <= '9') {
+    end++;
+  }
+  return end - start;
+};
+
+/**
+ * Encode text as Code 128 symbol values, including start, checksum and stop
+ * Printable ASCII is encoded with code set B; runs of four or more digits switch
+ * to code set C, which packs two digits per symbol.
+ * @param {string} text - Text to encode (printable ASCII)
+ * @returns {Array<number>} Symbol values
+ */
+const encodeCode128Values = (text) => {
+  if (!text) {
+    throw new Error('Code 128 payload is empty');
+  }
+  const invalid = [...text].find(char => char < ' ' || char > '~');
+  if (invalid !== undefined) {
+    throw new Error(`Code 128 supports printable ASCII only, found "${invalid}"`);
+  }
+
+  const values = [];
+  let codeSet = null;
+  let i = 0;
+
+  while (i < text.length) {
+    const digits = countDigits(text, i);
+    if (digits >= 4 || (digits >= 2 && digits === text.length - i && codeSet === 'C')) {
+      if (codeSet !== 'C') {
+        values.push(codeSet ? CODE128_SWITCH_C : CODE128_START_C);
+        codeSet = 'C';
+      }
+      // An odd digit left over is encoded in code set B
+      const pairs = Math.floor(digits / 2);
+      for (let pair = 0; pair < pairs; pair++, i += 2) {
+        values.push(parseInt(text.slice(i, i + 2), 10));
+      }
+    } else {
+      if (codeSet !== 'B') {
+        values.push(codeSet ? CODE128_SWITCH_B : CODE128_START_B);
+        codeSet = 'B';
+      }
+      values.push(text.charCodeAt(i) - 32);
+      i++;
+    }
+  }
+
+  const checksum = values.reduce((sum, value, index) => sum + value * Math.max(index, 1), 0) % 103;
+  return [...values, checksum, CODE128_STOP];
+};
+
+/**
+ * Encode text as a Code 128 barcode
+ * @param {string} text - Text to encode (printable ASCII)
+ * @returns {Array<number>} Widths in modules of alternating bars and spaces, starting with a bar
+ */
+const encodeCode128 = (text) => {
+  return encodeCode128Values(text)
+    .flatMap(value => [...CODE128_PATTERNS[value]].map(Number));
+};
+
+/**
+ * Encode text as a QR code
+ * The smallest version that fits the text at the error correction level is used.
+ * @param {string} text - Text to encode
+ * @param {string} errorCorrection - Error correction level: 'L', 'M', 'Q' or 'H'
+ * @returns {Array<Array<boolean>>} Rows of modules, true for dark modules
+ */
+const encodeQrCode = (text, errorCorrection = 'M') => {
+  if (!text) {
+    throw new Error('QR code payload is empty');
+  }
+  const level = String(errorCorrection).toUpperCase();
+  if (!QR_ERROR_CORRECTION_LEVELS.includes(level)) {
+    throw new Error(`Unknown QR error correction level: ${errorCorrection}`);
+  }
+
+  const { modules } = QRCode.create(text, { errorCorrectionLevel: level });
+  return Array.from({ length: modules.size }, (_, row) =>
+    Array.from({ length: modules.size }, (_, column) => Boolean(modules.get(row, column)))
+  );
+};
+
+module.exports = {
+  encodeCode128,
+  encodeCode128Values,
+  encodeQrCode,
+  QR_ERROR_CORRECTION_LEVELS
+};
@@ -0,0 +1,683 @@
+/**
+ * Content Stream Utilities
+ * Tokenize PDF page content streams and work out where their text and graphics are drawn
+ */
+
+const IDENTITY_MATRIX = [1, 0, 0, 1, 0, 0];
+
+// Glyph extent relative to the baseline, as a fraction of the font size
+const TEXT_ASCENT = 0.8;
+const TEXT_DESCENT = 0.25;
+
+// Form XObjects can nest; deeper levels are not measured
+const MAX_FORM_DEPTH = 8;
+
+const isWhitespace = (byte) => byte === 0x00 || byte === 0x09 || byte === 0x0a ||
+  byte === 0x0c || byte === 0x0d || byte === 0x20;
+
+const isDelimiter = (byte) => byte === 0x28 || byte === 0x29 || byte === 0x3c || byte === 0x3e ||
+  byte === 0x5b || byte === 0x5d || byte === 0x7b || byte === 0x7d || byte === 0x2f || byte === 0x25;
+
+const NUMBER_PATTERN = /^[+-]?(\d+\.?\d*|\.\d+)$/;
+
+/**
+ * Parse a content stream into operations
+ * Operands are numbers, names (strings starting with '/'), strings (Buffers),
+ * arrays and dictionaries (plain objects keyed by name without the slash).
+ * Each operation also records the byte range it spans, from its first operand to its operator.
+ * @param {Uint8Array} bytes - Decoded content stream
+ * @returns {Array<Object>} Array of { operator, operands, start, end } objects
+ */
+const parseContentStream = (bytes) => {
+  const operations = [];
+  let position = 0;
+
+  const skipWhitespaceAndComments = () => {
+    while (position < bytes.length) {
+      if (isWhitespace(bytes[position])) {
+        position++;
+      } else if (bytes[position] === 0x25) {
+        while (position < bytes.length && bytes[position] !== 0x0a && bytes[position] !== 0x0d) {
+          position++;
+        }
+      } else {
+        break;
+      }
+    }
+  };
+
+  const readRegularToken = () => {
+    const start = position;
+    while (position < bytes.length && !isWhitespace(bytes[position]) && !isDelimiter(bytes[position])) {
+      position++;
+    }
+    return Buffer.from(bytes.subarray(start, position)).toString('latin1');
+  };
+
+  const readLiteralString = () => {
+    const output = [];
+    let depth = 1;
+    position++;
+
+    while (position < bytes.length) {
+      const byte = bytes[position++];
+      if (byte === 0x5c) {
+        const next = bytes[position++];
+        const escapes = { 0x6e: 0x0a, 0x72: 0x0d, 0x74: 0x09, 0x62: 0x08, 0x66: 0x0c };
+        if (escapes[next] !== undefined) {
+          output.push(escapes[next]);
+        } else if (next >= 0x30 && next <= 0x37) {
+          // Up to three octal digits
+          let value = next - 0x30;
+          for (let i = 0; i < 2 && bytes[position] >= 0x30 && bytes[position] <= 0x37; i++) {
+            value = value * 8 + (bytes[position++] - 0x30);
+          }
+          output.push(value & 0xff);
+        } else if (next === 0x0d) {
+          // Escaped line break continues the string
+          if (bytes[position] === 0x0a) {
+            position++;
+          }
+        } else if (next !== 0x0a) {
+          output.push(next);
+        }
+      } else if (byte === 0x28) {
+        depth++;
+        output.push(byte);
+      } else if (byte === 0x29) {
+        depth--;
+        if (depth === 0) {
+          break;
+        }
+        output.push(byte);
+      } else {
+        output.push(byte);
+      }
+    }
+
+    return Buffer.from(output);
+  };
+
+  const readHexString = () => {
+    const start = ++position;
+    while (position < bytes.length && bytes[position] !== 0x3e) {
+      position++;
+    }
+    let hex = Buffer.from(bytes.subarray(start, position)).toString('latin1').replace(/[^0-9a-fA-F]/g, '');
+    position++;
+    if (hex.length % 2 === 1) {
+      hex += '0';
+    }
+    return Buffer.from(hex, 'hex');
+  };
+
+  const readObject = () => {
+    skipWhitespaceAndComments();
+    const byte = bytes[position];
+
+    if (byte === 0x28) {
+      return readLiteralString();
+    }
+    if (byte === 0x3c && bytes[position + 1] === 0x3c) {
+      position += 2;
+      const dict = {};
+      for (;;) {
+        skipWhitespaceAndComments();
+        if (position >= bytes.length) {
+          return dict;
+        }
+        if (bytes[position] === 0x3e && bytes[position + 1] === 0x3e) {
+          position += 2;
+          return dict;
+        }
+        const key = readObject();
+        dict[String(key).replace(/^\//, '')] = readObject();
+      }
+    }
+    if (byte === 0x3c) {
+      return readHexString();
+    }
+    if (byte === 0x5b) {
+      position++;
+      const array = [];
+      for (;;) {
+        skipWhitespaceAndComments();
+        if (position >= bytes.length) {
+          return array;
+        }
+        if (bytes[position] === 0x5d) {
+          position++;
+          return array;
+        }
+        array.push(readObject());
+      }
+    }
+    if (byte === 0x2f) {
+      position++;
+      return `/${readRegularToken()}`;
+    }
+    if (isDelimiter(byte)) {
+      // Stray delimiter (e.g. an unmatched bracket); skip it
+      position++;
+      return null;
+    }
+
+    const token = readRegularToken();
+    if (NUMBER_PATTERN.test(token)) {
+      return parseFloat(token);
+    }
+    return { operator: token };
+  };
+
+  // Inline image data is binary; it ends at the first EI surrounded by whitespace
+  const skipInlineImageData = () => {
+    position++;
+    while (position < bytes.length) {
+      if (bytes[position] === 0x45 && bytes[position + 1] === 0x49 &&
+        isWhitespace(bytes[position - 1]) &&
+        (position + 2 >= bytes.length || isWhitespace(bytes[position + 2]))) {
+        position += 2;
+        return;
+      }
+      position++;
+    }
+  };
+
+  let operands = [];
+  let operationStart = null;
+  while (position < bytes.length) {
+    skipWhitespaceAndComments();
+    if (position >= bytes.length) {
+      break;
+    }
+    if (operationStart === null) {
+      operationStart = position;
+    }
+
+    const object = readObject();
+    if (object && typeof object === 'object' && typeof object.operator === 'string') {
+      const { operator } = object;
+      if (operator === 'true' || operator === 'false') {
+        operands.push(operator === 'true');
+      } else if (operator === 'null') {
+        operands.push(null);
+      } else if (operator === 'BI') {
+        // Inline image: key/value pairs up to ID, then raw data up to EI
+        const imageDict = {};
+        for (;;) {
+          const key = readObject();
+          if (position >= bytes.length || (key && key.operator === 'ID')) {
+            break;
+          }
+          imageDict[String(key).replace(/^\//, '')] = readObject();
+        }
+        skipInlineImageData();
+        operations.push({ operator: 'BI', operands: [imageDict], start: operationStart, end: position });
+        operands = [];
+      } else {
+        operations.push({ operator, operands, start: operationStart, end: position });
+        operands = [];
+      }
+      operationStart = null;
+    } else {
+      operands.push(object);
+    }
+  }
+
+  return operations;
+};
+
+/**
+ * Multiply two transformation matrices (apply m1, then m2)
+ * @param {Array<number>} m1 - First matrix [a b c d e f]
+ * @param {Array<number>} m2 - Second matrix [a b c d e f]
+ * @returns {Array<number>} Product matrix
+ */
+const multiplyMatrices = (m1, m2) => [
+  m1[0] * m2[0] + m1[1] * m2[2],
+  m1[0] * m2[1] + m1[1] * m2[3],
+  m1[2] * m2[0] + m1[3] * m2[2],
+  m1[2] * m2[1] + m1[3] * m2[3],
+  m1[4] * m2[0] + m1[5] * m2[2] + m2[4],
+  m1[4] * m2[1] + m1[5] * m2[3] + m2[5]
+];
+
+/**
+ * Transform a point by a matrix
+ * @param {Array<number>} matrix - Transformation matrix [a b c d e f]
+ * @param {number} x - X coordinate
+ * @param {number} y - Y coordinate
+ * @returns {Array<number>} Transformed [x, y]
+ */
+const transformPoint = (matrix, x, y) => [
+  matrix[0] * x + matrix[2] * y + matrix[4],
+  matrix[1] * x + matrix[3] * y + matrix[5]
+];
+
+/**
+ * Bounding box of a rectangle after transformation
+ * @param {Array<number>} matrix - Transformation matrix
+ * @param {number} x1 - Left edge
+ * @param {number} y1 - Bottom edge
+ * @param {number} x2 - Right edge
+ * @param {number} y2 - Top edge
+ * @returns {Object} Box { x1, y1, x2, y2 }
+ */
+const transformBox = (matrix, x1, y1, x2, y2) => {
+  const points = [
+    transformPoint(matrix, x1, y1),
+    transformPoint(matrix, x2, y1),
+    transformPoint(matrix, x1, y2),
+    transformPoint(matrix, x2, y2)
+  ];
+  return boundsOf(points);
+};
+
+const boundsOf = (points) => ({
+  x1: Math.min(...points.map(point => point[0])),
+  y1: Math.min(...points.map(point => point[1])),
+  x2: Math.max(...points.map(point => point[0])),
+  y2: Math.max(...points.map(point => point[1]))
+});
+
+/**
+ * Find the bounding boxes of the text, paths and images drawn by a content stream
+ * Text boxes are estimated from the font's glyph widths and size. Clipping paths,
+ * invisible text and shadings are not reported.
+ * @param {Array<Object>} operations - Operations from parseContentStream
+ * @param {Object} resources - Resource reader: getFont(name) returns { bytesPerCode, getWidth(code) }
+ *   or null; getXObject(name) returns { subtype: 'Image' } or { subtype: 'Form', matrix,
+ *   operations, resources } or null
+ * @param {Array<number>} initialMatrix - Transformation matrix in effect (defaults to identity)
+ * @param {number} depth - Form XObject nesting depth
+ * @returns {Array<Object>} Boxes { x1, y1, x2, y2, type } in the initial coordinate space
+ */
+const collectContentBoxes = (operations, resources, initialMatrix = IDENTITY_MATRIX, depth = 0) => {
+  const boxes = [];
+  const stack = [];
+  let state = {
+    ctm: initialMatrix,
+    lineWidth: 1,
+    font: null,
+    fontSize: 0,
+    charSpacing: 0,
+    wordSpacing: 0,
+    horizontalScale: 1,
+    leading: 0,
+    rise: 0,
+    renderMode: 0
+  };
+  let textMatrix = IDENTITY_MATRIX;
+  let lineMatrix = IDENTITY_MATRIX;
+  let pathPoints = [];
+
+  const addPoint = (x, y) => {
+    pathPoints.push(transformPoint(state.ctm, x, y));
+  };
+
+  const paintPath = (stroke) => {
+    if (pathPoints.length > 0) {
+      const box = boundsOf(pathPoints);
+      if (stroke) {
+        // Widen by half the line width, scaled to the current transformation
+        const scale = Math.sqrt(Math.abs(state.ctm[0] * state.ctm[3] - state.ctm[1] * state.ctm[2]));
+        const halfWidth = (state.lineWidth || 1) * scale / 2;
+        box.x1 -= halfWidth;
+        box.y1 -= halfWidth;
+        box.x2 += halfWidth;
+        box.y2 += halfWidth;
+      }
+      boxes.push({ ...box, type: 'path' });
+    }
+    pathPoints = [];
+  };
+
+  const moveToNextLine = (tx, ty) => {
+    lineMatrix = multiplyMatrices([1, 0, 0, 1, tx, ty], lineMatrix);
+    textMatrix = lineMatrix;
+  };
+
+  const showText = (items) => {
+    const { font, fontSize, horizontalScale } = state;
+    const bytesPerCode = font ? font.bytesPerCode : 1;
+    let advance = 0;
+    let minX = 0;
+    let maxX = 0;
+
+    items.forEach(item => {
+      if (typeof item === 'number') {
+        advance -= item / 1000 * fontSize * horizontalScale;
+      } else if (Buffer.isBuffer(item)) {
+        for (let i = 0; i + bytesPerCode <= item.length; i += bytesPerCode) {
+          const code = bytesPerCode === 2 ? (item[i] << 8) | item[i + 1] : item[i];
+          const width = font ? font.getWidth(code) : 500;
+          const wordSpacing = bytesPerCode === 1 && code === 32 ? state.wordSpacing : 0;
+          advance += (width / 1000 * fontSize + state.charSpacing + wordSpacing) * horizontalScale;
+        }
+      }
+      minX = Math.min(minX, advance);
+      maxX = Math.max(maxX, advance);
+    });
+
+    const visible = state.renderMode !== 3 && state.renderMode !== 7;
+    if (visible && maxX > minX && fontSize !== 0) {
+      const matrix = multiplyMatrices(textMatrix, state.ctm);
+      const box = transformBox(
+        matrix,
+        minX,
+        state.rise - TEXT_DESCENT * fontSize,
+        maxX,
+        state.rise + TEXT_ASCENT * fontSize
+      );
+      boxes.push({ ...box, type: 'text' });
+    }
+
+    textMatrix = multiplyMatrices([1, 0, 0, 1, advance, 0], textMatrix);
+  };
+
+  operations.forEach(({ operator, operands }) => {
+    const numbers = operands.map(operand => (typeof operand === 'number' ? operand : 0));
+
+    switch (operator) {
+      case 'q':
+        stack.push({ ...state });
+        break;
+      case 'Q':
+        if (stack.length > 0) {
+          state = stack.pop();
+        }
+        break;
+      case 'cm':
+        state.ctm = multiplyMatrices(numbers.slice(0, 6), state.ctm);
+        break;
+      case 'w':
+        state.lineWidth = numbers[0];
+        break;
+
+      // Path construction
+      case 'm':
+      case 'l':
+        addPoint(numbers[0], numbers[1]);
+        break;
+      case 'c':
+        addPoint(numbers[0], numbers[1]);
+        addPoint(numbers[2], numbers[3]);
+        addPoint(numbers[4], numbers[5]);
+        break;
+      case 'v':
+      case 'y':
+        addPoint(numbers[0], numbers[1]);
+        addPoint(numbers[2], numbers[3]);
+        break;
+      case 're':
+        addPoint(numbers[0], numbers[1]);
+        addPoint(numbers[0] + numbers[2], numbers[1] + numbers[3]);
+        break;
+
+      // Path painting
+      case 'S':
+      case 's':
+      case 'B':
+      case 'B*':
+      case 'b':
+      case 'b*':
+        paintPath(true);
+        break;
+      case 'f':
+      case 'F':
+      case 'f*':
+        paintPath(false);
+        break;
+      case 'n':
+        pathPoints = [];
+        break;
+
+      // Text state
+      case 'BT':
+        textMatrix = IDENTITY_MATRIX;
+        lineMatrix = IDENTITY_MATRIX;
+        break;
+      case 'Tf':
+        state.font = resources.getFont(String(operands[0]).replace(/^\//, ''));
+        state.fontSize = numbers[1];
+        break;
+      case 'Tc':
+        state.charSpacing = numbers[0];
+        break;
+      case 'Tw':
+        state.wordSpacing = numbers[0];
+        break;
+      case 'Tz':
+        state.horizontalScale = numbers[0] / 100;
+        break;
+      case 'TL':
+        state.leading = numbers[0];
+        break;
+      case 'Ts':
+        state.rise = numbers[0];
+        break;
+      case 'Tr':
+        state.renderMode = numbers[0];
+        break;
+
+      // Text positioning
+      case 'Td':
+        moveToNextLine(numbers[0], numbers[1]);
+        break;
+      case 'TD':
+        state.leading = -numbers[1];
+        moveToNextLine(numbers[0], numbers[1]);
+        break;
+      case 'Tm':
+        lineMatrix = numbers.slice(0, 6);
+        textMatrix = lineMatrix;
+        break;
+      case 'T*':
+        moveToNextLine(0, -state.leading);
+        break;
+
+      // Text showing
+      case 'Tj':
+        showText([operands[0]]);
+        break;
+      case 'TJ':
+        showText(Array.isArray(operands[0]) ? operands[0] : []);
+        break;
+      case '\'':
+        moveToNextLine(0, -state.leading);
+        showText([operands[0]]);
+        break;
+      case '"':
+        state.wordSpacing = numbers[0];
+        state.charSpacing = numbers[1];
+        moveToNextLine(0, -state.leading);
+        showText([operands[2]]);
+        break;
+
+      // Images and forms
+      case 'BI':
+        boxes.push({ ...transformBox(state.ctm, 0, 0, 1, 1), type: 'image' });
+        break;
+      case 'Do': {
+        const xObject = resources.getXObject(String(operands[0]).replace(/^\//, ''));
+        if (!xObject) {
+          break;
+        }
+        if (xObject.subtype === 'Image') {
+          boxes.push({ ...transformBox(state.ctm, 0, 0, 1, 1), type: 'image' });
+        } else if (xObject.subtype === 'Form' && depth < MAX_FORM_DEPTH) {
+          const formMatrix = multiplyMatrices(xObject.matrix || IDENTITY_MATRIX, state.ctm);
+          boxes.push(...collectContentBoxes(xObject.operations, xObject.resources, formMatrix, depth + 1));
+        }
+        break;
+      }
+      default:
+        break;
+    }
+  });
+
+  return boxes;
+};
+
+/**
+ * Parse a ToUnicode CMap into a map from character codes to text
+ * Only the bfchar and bfrange mappings are read; codespace ranges are left to the caller.
+ * @param {Uint8Array} bytes - Decoded CMap stream
+ * @returns {Map<number, string>} Text for each character code
+ */
+const parseToUnicodeCMap = (bytes) => {
+  const text = Buffer.from(bytes).toString('latin1');
+  const map = new Map();
+
+  // Destination strings are UTF-16BE
+  const toText = (hex) => {
+    const buffer = Buffer.from(hex.length % 4 === 0 ? hex : hex.padStart(Math.ceil(hex.length / 4) * 4, '0'), 'hex');
+    return buffer.swap16().toString('utf16le');
+  };
+
+  for (const block of text.matchAll(/beginbfchar([\s\S]*?)endbfchar/g)) {
+    for (const [, code, destination] of block[1].matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]*)>/g)) {
+      map.set(parseInt(code, 16), toText(destination));
+    }
+  }
+
+  for (const block of text.matchAll(/beginbfrange([\s\S]*?)endbfrange/g)) {
+    for (const [, low, high, destination] of block[1].matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]+)>\s*(<[0-9a-fA-F]*>|\[[^\]]*\])/g)) {
+      const first = parseInt(low, 16);
+      const last = Math.min(parseInt(high, 16), first + 0xffff);
+
+      if (destination.startsWith('[')) {
+        // One destination per code
+        [...destination.matchAll(/<([0-9a-fA-F]*)>/g)].forEach(([, hex], index) => {
+          if (first + index <= last) {
+            map.set(first + index, toText(hex));
+          }
+        });
+      } else {
+        // Consecutive codes map to consecutive values of the destination's last character
+        const base = toText(destination.slice(1, -1));
+        const prefix = base.slice(0, -1);
+        const lastChar = base.charCodeAt(base.length - 1) || 0;
+        for (let code = first; code <= last; code++) {
+          map.set(code, prefix + String.fromCharCode(lastChar + code - first));
+        }
+      }
+    }
+  }
+
+  return map;
+};
+
+/**
+ * Collect the text shown by a content stream, in drawing order
+ * Strings are decoded with the font's decode(bytes) when it has one, otherwise as Latin-1.
+ * Invisible text is included, and text inside form XObjects is collected too.
+ * @param {Array<Object>} operations - Operations from parseContentStream
+ * @param {Object} resources - Resource reader as for collectContentBoxes; fonts may add decode(bytes)
+ * @param {number} depth - Form XObject nesting depth
+ * @returns {string} Shown text joined without separators
+ */
+const collectText = (operations, resources, depth = 0) => {
+  const parts = [];
+  const stack = [];
+  let font = null;
+
+  const decode = (bytes) => (font && font.decode ? font.decode(bytes) : bytes.toString('latin1'));
+
+  operations.forEach(({ operator, operands }) => {
+    const last = operands[operands.length - 1];
+
+    switch (operator) {
+      case 'q':
+        stack.push(font);
+        break;
+      case 'Q':
+        if (stack.length > 0) {
+          font = stack.pop();
+        }
+        break;
+      case 'Tf':
+        font = resources.getFont(String(operands[0]).replace(/^\//, ''));
+        break;
+      case 'Tj':
+      case '\'':
+      case '"':
+        if (Buffer.isBuffer(last)) {
+          parts.push(decode(last));
+        }
+        break;
+      case 'TJ':
+        if (Array.isArray(last)) {
+          last.filter(item => Buffer.isBuffer(item)).forEach(item => parts.push(decode(item)));
+        }
+        break;
+      case 'Do': {
+        const xObject = resources.getXObject(String(operands[0]).replace(/^\//, ''));
+        if (xObject && xObject.subtype === 'Form' && depth < MAX_FORM_DEPTH) {
+          parts.push(collectText(xObject.operations, xObject.resources, depth + 1));
+        }
+        break;
+      }
+      default:
+        break;
+    }
+  });
+
+  return parts.join('');
+};
+
+/**
+ * Remove marked-content sequences with a given tag from a content stream
+ * Everything from the tag's BDC/BMC operator up to its matching EMC is cut out,
+ * including nested marked content; the rest of the stream is kept byte for byte.
+ * @param {Uint8Array} bytes - Decoded content stream
+ * @param {string} tag - Marked-content tag without the slash
+ * @param {Function} accepts - Optional filter called with the sequence's property dictionary
+ * @returns {Object} { bytes, removed } with the remaining content and the number of sequences removed
+ */
+const removeMarkedContent = (bytes, tag, accepts = () => true) => {
+  const ranges = [];
+  // Open marked-content sequences, each remembering whether it is being removed
+  const openSequences = [];
+
+  parseContentStream(bytes).forEach(operation => {
+    const { operator, operands } = operation;
+
+    if (operator === 'BDC' || operator === 'BMC') {
+      const removing = openSequences.some(sequence => sequence.start !== undefined);
+      const matches = !removing && operands[0] === `/${tag}` &&
+        accepts(operands[1] && typeof operands[1] === 'object' ? operands[1] : {});
+      openSequences.push(matches ? { start: operation.start } : {});
+    } else if (operator === 'EMC' && openSequences.length > 0) {
+      const sequence = openSequences.pop();
+      if (sequence.start !== undefined) {
+        ranges.push([sequence.start, operation.end]);
+      }
+    }
+  });
+
+  if (ranges.length === 0) {
+    return { bytes, removed: 0 };
+  }
+
+  // Keep a line break where each sequence was so neighbouring tokens stay apart
+  const parts = [];
+  let position = 0;
+  ranges.forEach(([start, end]) => {
+    parts.push(Buffer.from(bytes.subarray(position, start)), Buffer.from('\n'));
+    position = end;
+  });
+  parts.push(Buffer.from(bytes.subarray(position)));
+
+  return { bytes: Buffer.concat(parts), removed: ranges.length };
+};
+
+module.exports = {
+  parseContentStream,
+  parseToUnicodeCMap,
+  collectText,
+  removeMarkedContent,
+  collectContentBoxes,
+  multiplyMatrices,
+  transformPoint
+};
@@ -0,0 +1,117 @@
+/**
+ * Recipient List Utilities
+ * Parse the recipient lists used for personalized watermarks
+ */
+
+/**
+ * Split CSV text into rows of fields
+ * Fields may be quoted with double quotes; a doubled quote inside a quoted field is a literal quote
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Rows of field values, skipping blank lines
+ */
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  const endField = () => {
+    row.push(field);
+    field = '';
+  };
+  const endRow = () => {
+    endField();
+    if (row.some(value => value.trim() !== '')) {
+      rows.push(row);
+    }
+    row = [];
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      endField();
+    } else if (char === '\n' || char === '\r') {
+      // Treat \r\n as a single line break
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('Unterminated quoted field in CSV');
+  }
+  endRow();
+
+  return rows;
+};
+
+/**
+ * Parse a recipient list given as CSV (with a header row) or JSON
+ * JSON may be an array of recipient objects or an object with a recipients array.
+ * @param {string} text - Recipient list
+ * @param {string} format - 'csv', 'json' or '' to detect the format from the content
+ * @returns {Array<Object>} Recipient objects keyed by column name, with string values
+ */
+const parseRecipients = (text, format = '') => {
+  const content = text.replace(/^\uFEFF/, '').trim();
+  const listFormat = format || (/^[[{]/.test(content) ? 'json' : 'csv');
+
+  let recipients;
+  if (listFormat === 'json') {
+    let parsed;
+    try {
+      parsed = JSON.parse(content);
+    } catch (error) {
+      throw new Error(`Invalid recipient JSON: ${error.message}`);
+    }
+    recipients = Array.isArray(parsed) ? parsed : parsed.recipients;
+    if (!Array.isArray(recipients) || recipients.some(item => !item || typeof item !== 'object' || Array.isArray(item))) {
+      throw new Error('Recipient JSON must be an array of objects');
+    }
+  } else {
+    const [header = [], ...rows] = parseCsv(content);
+    const columns = header.map(column => column.trim());
+    recipients = rows.map(values => {
+      const recipient = {};
+      columns.forEach((column, index) => {
+        if (column) {
+          recipient[column] = (values[index] || '').trim();
+        }
+      });
+      return recipient;
+    });
+  }
+
+  // Nested values cannot go into a watermark, so only plain values are kept
+  return recipients.map(recipient => {
+    const values = {};
+    Object.entries(recipient).forEach(([key, value]) => {
+      if (value !== null && typeof value !== 'object') {
+        values[key] = String(value);
+      }
+    });
+    return values;
+  });
+};
+
+module.exports = {
+  parseCsv,
+  parseRecipients
+};